@@ -0,0 +1,148 @@
+/**
+ * GHOST NETWORK - Dataset Loader
+ * Merges versioned JSON datasets over the built-in data models
+ */
+
+import { CITIES, DATACENTERS, WORKLOADS, MATERIALS, EWASTE, EMISSIONS_DRIFT, DISPERSION, TIME_MODIFIERS, LAND_USE, BUILDING_SCALE, CUSTOM_WORKLOAD, INFERENCE, NETWORK, ADOPTION, GENERATION_WATER, WATER_SCARCITY, AIR_POLLUTANTS, HEALTH_BURDEN, WASTE_HEAT } from './models.js';
+
+// Major version of the dataset file format this build understands
+export const DATASET_VERSION = 1;
+
+// Manifest listing the dataset files to load, in merge order
+export const DATASET_MANIFEST_URL = '/datasets/manifest.json';
+
+// Sections a dataset may override — keys match the exports in models.js
+const SECTIONS = {
+  CITIES,
+  DATACENTERS,
+  WORKLOADS,
+  MATERIALS,
+  EWASTE,
+  EMISSIONS_DRIFT,
+  DISPERSION,
+  TIME_MODIFIERS,
+  LAND_USE,
+  BUILDING_SCALE,
+  CUSTOM_WORKLOAD,
+  INFERENCE,
+  NETWORK,
+  ADOPTION,
+  GENERATION_WATER,
+  WATER_SCARCITY,
+  AIR_POLLUTANTS,
+  HEALTH_BURDEN,
+  WASTE_HEAT
+};
+
+// Top-level keys that describe the file rather than the data
+const METADATA_KEYS = ['version', 'name', 'description'];
+
+// Sections whose entries are looked up by their own `id`
+const ID_SECTIONS = ['CITIES', 'DATACENTERS', 'WORKLOADS'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep-merge `overlay` into `target` in place.
+ * Objects merge key by key, arrays and scalars replace, null removes the key.
+ */
+export function mergeInto(target, overlay) {
+  for (const [key, value] of Object.entries(overlay)) {
+    if (value === null) {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+  return target;
+}
+
+/**
+ * Merge one parsed dataset over the live data models.
+ * Returns the names of the sections it touched.
+ */
+export function applyDataset(dataset, source = 'dataset') {
+  if (!isPlainObject(dataset)) {
+    throw new Error(`${source}: dataset must be a JSON object`);
+  }
+
+  const major = Math.floor(Number(dataset.version));
+  if (major !== DATASET_VERSION) {
+    throw new Error(`${source}: unsupported dataset version "${dataset.version}" (expected ${DATASET_VERSION}.x)`);
+  }
+
+  const applied = [];
+
+  for (const [key, value] of Object.entries(dataset)) {
+    if (METADATA_KEYS.includes(key)) continue;
+
+    if (!SECTIONS[key]) {
+      console.warn(`[Datasets] ${source}: unknown section "${key}" ignored`);
+      continue;
+    }
+    if (!isPlainObject(value)) {
+      throw new Error(`${source}: section "${key}" must be an object`);
+    }
+
+    mergeInto(SECTIONS[key], value);
+    applied.push(key);
+  }
+
+  // New entries may omit their id — the engine relies on it for lookups
+  for (const key of ID_SECTIONS) {
+    for (const [id, entry] of Object.entries(SECTIONS[key])) {
+      if (isPlainObject(entry) && !entry.id) entry.id = id;
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Resolve a dataset path listed in the manifest against the manifest location
+ */
+function resolveDatasetUrl(file, manifestUrl) {
+  if (file.startsWith('/') || /^[a-z]+:\/\//i.test(file)) return file;
+  return manifestUrl.replace(/[^/]*$/, '') + file;
+}
+
+/**
+ * Fetch the dataset manifest and every file it lists, merging them in order.
+ * A missing manifest leaves the built-in defaults untouched; a listed file
+ * that cannot be fetched or parsed is an error.
+ */
+export async function loadDatasets({ manifestUrl = DATASET_MANIFEST_URL, fetchImpl = globalThis.fetch } = {}) {
+  let manifest;
+
+  try {
+    const response = await fetchImpl(manifestUrl);
+    if (!response.ok) {
+      console.warn(`[Datasets] No manifest at ${manifestUrl} — using built-in data`);
+      return [];
+    }
+    manifest = await response.json();
+  } catch (error) {
+    console.warn(`[Datasets] Could not read ${manifestUrl} — using built-in data`, error);
+    return [];
+  }
+
+  const files = Array.isArray(manifest.datasets) ? manifest.datasets : [];
+  const loaded = [];
+
+  for (const file of files) {
+    const url = resolveDatasetUrl(file, manifestUrl);
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+
+    const dataset = await response.json();
+    const sections = applyDataset(dataset, url);
+    loaded.push({ url, name: dataset.name || file, sections });
+    console.log(`[Datasets] ✓ ${dataset.name || file} (${sections.join(', ') || 'no sections'})`);
+  }
+
+  return loaded;
+}
@@ -59,8 +59,12 @@ export const DATACENTERS = {
     id: 'arizona',
     name: 'Arizona Hyperscale',
     location: 'Phoenix, Arizona',
+    country: 'USA',
     coords: { lat: 33.3942, lng: -111.9261 },
     operator: 'Generic Cloud Provider',
+    shortName: 'Arizona, USA',
+    tagline: '☀️ Solar available | 💧 Water stressed',
+    color: '#ff4444', // Globe marker colour
     
     // Energy profile
     energy: {
@@ -74,9 +78,17 @@ export const DATACENTERS = {
       },
       pue: 1.25, // Power Usage Effectiveness
       carbonIntensity: 385, // gCO2/kWh
+      marginalCarbonIntensity: 560, // gCO2/kWh of the plant that ramps up for new load (gas peakers, coal)
+      // Contracted renewables behind the operator's market-based claim
+      renewableClaims: {
+        claim: '100% renewable energy',
+        ppaShare: 0.4, // Annual MWh matched by power purchase agreements
+        certificateShare: 0.6, // Unbundled certificates (RECs / GOs)
+        residualMixIntensity: 430 // gCO2/kWh left on the grid once claimed renewables are removed
+      },
       sources: [
         { name: 'Palo Verde Nuclear', coords: { lat: 33.3886, lng: -112.8615 }, type: 'nuclear' },
-        { name: 'Gila River Gas Plant', coords: { lat: 33.0589, lng: -112.6854 }, type: 'gas' },
+        { name: 'Gila River Gas Plant', coords: { lat: 33.0589, lng: -112.6854 }, type: 'natural_gas' },
         { name: 'Solana Solar', coords: { lat: 32.9297, lng: -112.9798 }, type: 'solar' }
       ]
     },
@@ -86,16 +98,69 @@ export const DATACENTERS = {
       source: 'Colorado River Basin / Central Arizona Project',
       sourceCoords: { lat: 36.0161, lng: -114.7377 }, // Lake Mead
       stressLevel: 'extreme', // Based on WRI Aqueduct
-      wue: 1.8, // Water Usage Effectiveness (L/kWh)
+      awareFactor: 100, // Lower Colorado basin sits at the AWARE cap
+      wue: 1.8, // Water Usage Effectiveness (L/kWh withdrawn on-site)
+      consumptionShare: 0.8, // Evaporated in cooling towers; the rest is discharged as blowdown
       aquiferDepletion: 0.42, // 42% depleted
       annualWithdrawal: 2500000000 // liters
     },
+
+    // Blowdown goes to the sewer: the heat leaves through the cooling towers
+    heat: {
+      waterSink: null,
+      reuse: null
+    },
+    
+    // Uncertainty bounds (central values above)
+    uncertainty: {
+      pue: { low: 1.12, high: 1.45 },
+      wue: { low: 1.1, high: 2.6 }, // Evaporative cooling varies widely by design
+      carbonIntensity: { low: 340, high: 430 },
+      marginalCarbonIntensity: { low: 450, high: 700 }
+    },
+    
+    // Hourly profiles (override TIME_MODIFIERS) — deep solar dip, late-afternoon AC peak
+    hourly: {
+      carbonIntensityByHour: [
+        1.1, 1.1, 1.1, 1.1, 1.1, 1.05,     // 00-05 (gas + nuclear baseload)
+        0.95, 0.85, 0.75, 0.68, 0.62, 0.6, // 06-11 (solar ramp)
+        0.6, 0.6, 0.62, 0.7, 0.82, 0.95,   // 12-17 (solar peak then drop)
+        1.1, 1.15, 1.15, 1.12, 1.1, 1.1    // 18-23 (evening gas peakers)
+      ],
+      marginalCarbonIntensityByHour: [
+        1.0, 1.0, 1.0, 1.0, 1.0, 1.0,       // 00-05 (gas and coal cycling)
+        1.02, 1.0, 0.95, 0.85, 0.75, 0.7,   // 06-11 (curtailed solar absorbs some new load)
+        0.7, 0.7, 0.75, 0.85, 0.95, 1.05,   // 12-17
+        1.15, 1.15, 1.1, 1.05, 1.0, 1.0     // 18-23 (open-cycle peakers)
+      ],
+      demandByHour: [
+        0.7, 0.65, 0.62, 0.6, 0.62, 0.68,
+        0.78, 0.88, 0.98, 1.06, 1.12, 1.18,
+        1.22, 1.28, 1.34, 1.4, 1.42, 1.38,
+        1.25, 1.1, 0.98, 0.88, 0.8, 0.74
+      ],
+      waterUsageByHour: [
+        0.5, 0.45, 0.45, 0.45, 0.45, 0.5,
+        0.6, 0.75, 0.9, 1.05, 1.2, 1.35,
+        1.5, 1.6, 1.7, 1.7, 1.6, 1.45,     // Desert afternoon evaporation peak
+        1.25, 1.05, 0.9, 0.75, 0.65, 0.55
+      ]
+    },
     
     // Climate context
     climate: {
       avgTemp: 35, // Celsius in summer
       coolingDays: 280,
-      heatPenalty: 1.4 // Extra energy for cooling
+      heatPenalty: 1.4, // Extra energy for cooling
+
+      // Monthly tables, Jan–Dec — summer evaporative cooling peaks, mild winters
+      monthly: {
+        avgTemp:       [13, 15, 18, 22, 27, 33, 35, 34, 31, 24, 17, 12],
+        heatPenalty:   [1.05, 1.08, 1.15, 1.25, 1.38, 1.52, 1.58, 1.55, 1.45, 1.28, 1.12, 1.05],
+        wueMultiplier: [0.45, 0.5, 0.65, 0.85, 1.1, 1.35, 1.45, 1.4, 1.25, 0.95, 0.6, 0.45],
+        solarShare:    [0.10, 0.12, 0.15, 0.18, 0.20, 0.21, 0.18, 0.17, 0.17, 0.14, 0.11, 0.09],
+        windShare:     [0.06, 0.07, 0.09, 0.10, 0.09, 0.08, 0.06, 0.05, 0.05, 0.06, 0.06, 0.06]
+      }
     }
   },
   
@@ -103,8 +168,12 @@ export const DATACENTERS = {
     id: 'finland',
     name: 'Nordic Green DC',
     location: 'Hamina, Finland',
+    country: 'Finland',
     coords: { lat: 60.5693, lng: 27.1878 },
     operator: 'Generic Cloud Provider',
+    shortName: 'Finland',
+    tagline: '❄️ Cool climate | ⚡ Grid mixed',
+    color: '#44ff88', // Globe marker colour
     
     energy: {
       gridMix: {
@@ -118,6 +187,13 @@ export const DATACENTERS = {
       },
       pue: 1.10,
       carbonIntensity: 120,
+      marginalCarbonIntensity: 480, // Nordic pool margin: gas, coal and oil shale imports
+      renewableClaims: {
+        claim: '100% carbon-free energy',
+        ppaShare: 0.8, // Finnish wind PPAs
+        certificateShare: 0.2,
+        residualMixIntensity: 310 // AIB European residual mix, Finland
+      },
       sources: [
         { name: 'Olkiluoto Nuclear', coords: { lat: 61.2354, lng: 21.4424 }, type: 'nuclear' },
         { name: 'Baltic Wind Farm', coords: { lat: 60.1699, lng: 24.9384 }, type: 'wind' }
@@ -129,14 +205,64 @@ export const DATACENTERS = {
       sourceCoords: { lat: 60.4, lng: 27.0 },
       stressLevel: 'low',
       wue: 0.0, // Seawater cooling, no freshwater
+      consumptionShare: 0,
+      seawaterLitersPerKwh: 80, // Once-through, returned to the bay ~10 °C warmer
       aquiferDepletion: 0.0,
       annualWithdrawal: 0
     },
+
+    heat: {
+      waterSink: 'seawater',
+      dischargeDeltaK: 10,
+      // Haminan Energia heat recovery (from 2025): heat pumps lift the cooling
+      // loop's heat into the town network, aiming at ~80% of its annual demand
+      reuse: {
+        scheme: 'Haminan Energia district heating',
+        coords: { lat: 60.5697, lng: 27.1979 },
+        recoveryShare: 0.6,
+        homeHeatKwhPerYear: 15000, // Finnish home, space heating + hot water
+        // Share of the recoverable heat the network can take, Jan–Dec
+        uptakeByMonth: [1, 1, 1, 0.9, 0.7, 0.5, 0.45, 0.5, 0.7, 0.9, 1, 1]
+      }
+    },
+    
+    // Uncertainty bounds (central values above)
+    uncertainty: {
+      pue: { low: 1.07, high: 1.2 },
+      wue: { low: 0.0, high: 0.05 }, // Occasional freshwater top-up
+      carbonIntensity: { low: 80, high: 160 },
+      marginalCarbonIntensity: { low: 300, high: 650 }
+    },
+    
+    // Hourly profiles — nuclear/hydro baseload keeps carbon flat, heating drives demand
+    hourly: {
+      carbonIntensityByHour: [
+        0.95, 0.95, 0.95, 0.95, 0.95, 0.97,
+        1.0, 1.03, 1.05, 1.03, 1.0, 1.0,
+        1.0, 1.0, 1.0, 1.02, 1.05, 1.08,   // Evening peat/gas top-up
+        1.08, 1.05, 1.02, 1.0, 0.97, 0.95
+      ],
+      demandByHour: [
+        0.75, 0.72, 0.7, 0.7, 0.72, 0.8,
+        0.92, 1.05, 1.12, 1.1, 1.08, 1.06,
+        1.04, 1.03, 1.04, 1.08, 1.15, 1.2,
+        1.18, 1.12, 1.02, 0.92, 0.85, 0.8
+      ]
+    },
     
     climate: {
       avgTemp: 5,
       coolingDays: 45,
-      heatPenalty: 0.85 // Free cooling most of year
+      heatPenalty: 0.85, // Free cooling most of year
+
+      // Monthly tables, Jan–Dec — free cooling in winter, windy dark months
+      monthly: {
+        avgTemp:       [-5, -6, -2, 4, 10, 15, 18, 16, 11, 5, 1, -3],
+        heatPenalty:   [0.78, 0.78, 0.8, 0.83, 0.88, 0.95, 1.0, 0.98, 0.9, 0.84, 0.8, 0.78],
+        wueMultiplier: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1], // Seawater loop, no freshwater
+        solarShare:    [0, 0.005, 0.01, 0.02, 0.03, 0.035, 0.035, 0.025, 0.015, 0.005, 0, 0],
+        windShare:     [0.19, 0.18, 0.16, 0.14, 0.12, 0.10, 0.10, 0.11, 0.14, 0.17, 0.19, 0.20]
+      }
     }
   },
   
@@ -144,8 +270,12 @@ export const DATACENTERS = {
     id: 'singapore',
     name: 'Equinix SG Hub',
     location: 'Singapore',
+    country: 'Singapore',
     coords: { lat: 1.3521, lng: 103.8198 },
     operator: 'Equinix',
+    shortName: 'Singapore',
+    tagline: '🔥 High cooling | 🛢️ Fossil heavy',
+    color: '#ff8844', // Globe marker colour
     
     energy: {
       gridMix: {
@@ -155,9 +285,16 @@ export const DATACENTERS = {
       },
       pue: 1.55,
       carbonIntensity: 420,
+      marginalCarbonIntensity: 440, // Combined-cycle gas on the margin too
+      renewableClaims: {
+        claim: '50% renewable energy',
+        ppaShare: 0,
+        certificateShare: 0.5, // Regional I-RECs, mostly Malaysian and Vietnamese solar
+        residualMixIntensity: 425
+      },
       sources: [
-        { name: 'Jurong Island Gas Plants', coords: { lat: 1.2653, lng: 103.6990 }, type: 'gas' },
-        { name: 'Sembcorp LNG', coords: { lat: 1.2456, lng: 103.7105 }, type: 'lng' }
+        { name: 'Jurong Island Gas Plants', coords: { lat: 1.2653, lng: 103.6990 }, type: 'natural_gas' },
+        { name: 'Sembcorp LNG', coords: { lat: 1.2456, lng: 103.7105 }, type: 'natural_gas' }
       ]
     },
     
@@ -166,14 +303,53 @@ export const DATACENTERS = {
       sourceCoords: { lat: 1.4472, lng: 103.7867 }, // Johor
       stressLevel: 'high',
       wue: 2.2,
+      consumptionShare: 0.75,
       aquiferDepletion: 0.0, // No aquifer
       annualWithdrawal: 1800000000
     },
+
+    heat: {
+      waterSink: null,
+      reuse: null
+    },
+    
+    // Uncertainty bounds (central values above)
+    uncertainty: {
+      pue: { low: 1.35, high: 1.8 },
+      wue: { low: 1.5, high: 3.0 },
+      carbonIntensity: { low: 400, high: 470 },
+      marginalCarbonIntensity: { low: 410, high: 480 }
+    },
+    
+    // Hourly profiles — a 95% gas grid has almost no diurnal carbon swing
+    hourly: {
+      carbonIntensityByHour: [
+        1.02, 1.02, 1.02, 1.02, 1.02, 1.01,
+        1.0, 0.99, 0.98, 0.97, 0.97, 0.96,
+        0.96, 0.96, 0.97, 0.98, 0.99, 1.0,
+        1.01, 1.02, 1.02, 1.02, 1.02, 1.02
+      ],
+      waterUsageByHour: [
+        0.85, 0.85, 0.8, 0.8, 0.8, 0.85,   // Tropical nights stay warm
+        0.9, 0.95, 1.0, 1.05, 1.1, 1.15,
+        1.2, 1.2, 1.2, 1.2, 1.15, 1.1,
+        1.05, 1.0, 0.95, 0.9, 0.9, 0.85
+      ]
+    },
     
     climate: {
       avgTemp: 31,
       coolingDays: 365,
-      heatPenalty: 1.55
+      heatPenalty: 1.55,
+
+      // Monthly tables, Jan–Dec — equatorial, barely seasonal
+      monthly: {
+        avgTemp:       [27, 27.5, 28, 28.5, 29, 29, 28.5, 28.5, 28, 28, 27.5, 27],
+        heatPenalty:   [1.5, 1.52, 1.55, 1.58, 1.6, 1.58, 1.56, 1.56, 1.55, 1.55, 1.52, 1.5],
+        wueMultiplier: [0.95, 0.97, 1.0, 1.03, 1.06, 1.05, 1.03, 1.03, 1.02, 1.0, 0.97, 0.95],
+        solarShare:    [0.025, 0.03, 0.032, 0.033, 0.032, 0.03, 0.03, 0.03, 0.03, 0.029, 0.025, 0.024],
+        windShare:     [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+      }
     }
   },
   
@@ -181,8 +357,12 @@ export const DATACENTERS = {
     id: 'ireland',
     name: 'Dublin Cloud Campus',
     location: 'Dublin, Ireland',
+    country: 'Ireland',
     coords: { lat: 53.4055, lng: -6.3725 },
     operator: 'Generic Cloud Provider',
+    shortName: 'Ireland',
+    tagline: '🍃 Wind power | 💨 Emissions trade',
+    color: '#4488ff', // Globe marker colour
     
     energy: {
       gridMix: {
@@ -195,9 +375,16 @@ export const DATACENTERS = {
       },
       pue: 1.15,
       carbonIntensity: 295,
+      marginalCarbonIntensity: 470, // Gas sets the price; wind is never curtailed up
+      renewableClaims: {
+        claim: '100% renewable energy',
+        ppaShare: 0.45, // Irish wind PPAs
+        certificateShare: 0.55, // Nordic GOs bought on the European market
+        residualMixIntensity: 420 // AIB European residual mix, Ireland
+      },
       sources: [
         { name: 'Arklow Wind Farm', coords: { lat: 52.7945, lng: -6.0051 }, type: 'wind' },
-        { name: 'Dublin Bay Gas', coords: { lat: 53.3331, lng: -6.1245 }, type: 'gas' }
+        { name: 'Dublin Bay Gas', coords: { lat: 53.3331, lng: -6.1245 }, type: 'natural_gas' }
       ]
     },
     
@@ -206,14 +393,56 @@ export const DATACENTERS = {
       sourceCoords: { lat: 53.2452, lng: -6.3658 },
       stressLevel: 'moderate',
       wue: 0.8,
+      consumptionShare: 0.5, // Adiabatic assist on warm days only
       aquiferDepletion: 0.15,
       annualWithdrawal: 450000000
     },
+
+    heat: {
+      waterSink: 'river',
+      dischargeDeltaK: 5,
+      // Tallaght District Heating Scheme (2023): a few MW of datacenter heat
+      // for council buildings, a college and new apartments
+      reuse: {
+        scheme: 'Tallaght District Heating Scheme',
+        coords: { lat: 53.2882, lng: -6.3734 },
+        recoveryShare: 0.1,
+        homeHeatKwhPerYear: 11000, // Irish home, space heating + hot water
+        uptakeByMonth: [1, 1, 0.95, 0.85, 0.7, 0.6, 0.55, 0.6, 0.7, 0.85, 0.95, 1]
+      }
+    },
+    
+    // Uncertainty bounds (central values above)
+    uncertainty: {
+      pue: { low: 1.1, high: 1.3 },
+      wue: { low: 0.3, high: 1.2 },
+      carbonIntensity: { low: 250, high: 340 },
+      marginalCarbonIntensity: { low: 400, high: 560 }
+    },
+    
+    // Hourly profiles — wind-led grid, no solar dip, evening gas peak
+    hourly: {
+      carbonIntensityByHour: [
+        1.0, 0.98, 0.97, 0.97, 0.98, 1.0,
+        1.02, 1.04, 1.03, 1.0, 0.98, 0.97,
+        0.96, 0.96, 0.97, 0.99, 1.04, 1.08,
+        1.08, 1.05, 1.02, 1.0, 1.0, 1.0
+      ]
+    },
     
     climate: {
       avgTemp: 10,
       coolingDays: 90,
-      heatPenalty: 1.0
+      heatPenalty: 1.0,
+
+      // Monthly tables, Jan–Dec — winter storms carry the grid, summer calms
+      monthly: {
+        avgTemp:       [5, 5, 7, 9, 11, 14, 16, 15, 13, 10, 7, 6],
+        heatPenalty:   [0.92, 0.92, 0.94, 0.97, 1.0, 1.05, 1.08, 1.07, 1.03, 0.98, 0.94, 0.92],
+        wueMultiplier: [0.6, 0.6, 0.7, 0.85, 1.0, 1.2, 1.35, 1.3, 1.1, 0.85, 0.7, 0.6],
+        solarShare:    [0.01, 0.015, 0.025, 0.04, 0.05, 0.055, 0.05, 0.045, 0.03, 0.02, 0.01, 0.008],
+        windShare:     [0.45, 0.42, 0.40, 0.33, 0.28, 0.25, 0.24, 0.27, 0.32, 0.38, 0.43, 0.46]
+      }
     }
   }
 };
@@ -233,19 +462,82 @@ export const WORKLOADS = {
     // Per-session metrics (based on Patterson 2022, Luccioni 2023)
     perSession: {
       queries: 25, // Queries per typical session
-      tokensPerQuery: 500,
-      kwhPerQuery: 0.0029, // ~2.9 Wh per query
+      inputTokens: 350, // Prompt plus conversation history
+      outputTokens: 150,
+      payloadMB: 1.5, // Page, streamed responses and history sync
       durationMinutes: 15
     },
     
+    // Session energy = perSession[count] × kWh per query from the INFERENCE
+    // token model (~2.9 Wh per query here); uncertainty from INFERENCE too
+    energy: { model: 'tokens', count: 'queries', unit: 'query', unitPlural: 'queries' },
+    
+    // City-wide annualization: share of residents using it and their sessions per day
+    adoption: { adoptionRate: 0.3, sessionsPerUserPerDay: 1.5 },
+    
     // Scaling factors
     scaling: {
       modelSize: 'large', // GPT-4 class
+      paramsBillions: 280, // Active parameters per token
       gpuType: 'A100',
       gpusPerQuery: 8
     }
   },
   
+  chatbotSmall: {
+    id: 'chatbotSmall',
+    name: 'Small Chatbot',
+    icon: '🗨️',
+    description: 'Compact language model on a single GPU, same conversation as the AI Chatbot',
+    intensity: 'low',
+    
+    perSession: {
+      queries: 25,
+      inputTokens: 350,
+      outputTokens: 150,
+      payloadMB: 1.5,
+      durationMinutes: 15
+    },
+    
+    energy: { model: 'tokens', count: 'queries', unit: 'query', unitPlural: 'queries' },
+    
+    adoption: { adoptionRate: 0.1, sessionsPerUserPerDay: 1 },
+    
+    scaling: {
+      modelSize: 'small', // ~8B, distilled
+      paramsBillions: 8,
+      gpuType: 'H100',
+      gpusPerQuery: 1
+    }
+  },
+  
+  chatbotFrontier: {
+    id: 'chatbotFrontier',
+    name: 'Frontier Reasoning',
+    icon: '🧠',
+    description: 'Frontier model that thinks out loud through long reasoning traces',
+    intensity: 'high',
+    
+    perSession: {
+      queries: 15, // Fewer, harder questions
+      inputTokens: 2000, // Attached documents and history
+      outputTokens: 2500, // Hidden reasoning plus the answer
+      payloadMB: 5, // Uploaded documents
+      durationMinutes: 20
+    },
+    
+    energy: { model: 'tokens', count: 'queries', unit: 'query', unitPlural: 'queries' },
+    
+    adoption: { adoptionRate: 0.03, sessionsPerUserPerDay: 0.5 },
+    
+    scaling: {
+      modelSize: 'xl',
+      paramsBillions: 600,
+      gpuType: 'H100',
+      gpusPerQuery: 16
+    }
+  },
+  
   image: {
     id: 'image',
     name: 'Image Generator',
@@ -258,9 +550,19 @@ export const WORKLOADS = {
       stepsPerImage: 50,
       resolution: '1024x1024',
       kwhPerImage: 0.029, // ~29 Wh per image (Luccioni 2023)
+      payloadMB: 30, // Full-resolution PNGs
       durationMinutes: 20
     },
     
+    energy: { rate: 'kwhPerImage', count: 'images', unit: 'image', unitPlural: 'images' },
+    
+    // Uncertainty bounds — step count, resolution and model size
+    uncertainty: {
+      kwhPerImage: { low: 0.006, high: 0.05 }
+    },
+    
+    adoption: { adoptionRate: 0.05, sessionsPerUserPerDay: 0.3 },
+    
     scaling: {
       modelSize: 'xl',
       gpuType: 'A100',
@@ -279,9 +581,21 @@ export const WORKLOADS = {
       sensors: 500, // Sensors in network
       predictionsPerHour: 12000,
       kwhPerHour: 2.5,
+      payloadMB: 2000, // Telemetry and camera snapshots
       durationMinutes: 60 // 1 hour of operation
     },
     
+    // countDivisor converts the count into the rate's unit (minutes → hours)
+    energy: { rate: 'kwhPerHour', count: 'durationMinutes', countDivisor: 60, unit: 'hour', unitPlural: 'hours' },
+    
+    // Uncertainty bounds
+    uncertainty: {
+      kwhPerHour: { low: 1.5, high: 4.0 }
+    },
+    
+    // City systems: one deployment per 100,000 residents, running around the clock
+    adoption: { adoptionRate: 0.00001, sessionsPerUserPerDay: 24 },
+    
     scaling: {
       modelSize: 'medium',
       gpuType: 'T4',
@@ -300,9 +614,20 @@ export const WORKLOADS = {
       cameras: 100,
       facesPerMinute: 1000,
       kwhPerHour: 8.5,
+      payloadMB: 90000, // 100 × 1080p streams at ~2 Mbit/s
       durationMinutes: 60 // Represents 1 hour of continuous operation
     },
     
+    energy: { rate: 'kwhPerHour', count: 'durationMinutes', countDivisor: 60, unit: 'hour', unitPlural: 'hours' },
+    
+    // Uncertainty bounds
+    uncertainty: {
+      kwhPerHour: { low: 5.0, high: 12.0 }
+    },
+    
+    // One 100-camera deployment per 20,000 residents, running around the clock
+    adoption: { adoptionRate: 0.00005, sessionsPerUserPerDay: 24 },
+    
     scaling: {
       modelSize: 'edge-optimized',
       gpuType: 'T4',
@@ -311,6 +636,63 @@ export const WORKLOADS = {
   }
 };
 
+// ============================================
+// INFERENCE - Token-based language model energy
+// ============================================
+
+export const INFERENCE = {
+  // A forward pass costs ~2 FLOPs per active parameter per token (Kaplan 2020)
+  flopsPerParamPerToken: 2,
+  // Share of the GPU's peak throughput actually achieved. Prefill processes
+  // the whole prompt in parallel; decode emits one token at a time and is
+  // bound by memory bandwidth, not compute.
+  utilization: {
+    prefill: 0.4,
+    decode: 0.02
+  },
+  hostOverhead: 1.5, // Host CPUs, memory, networking and idle headroom around the GPUs
+  // Extra energy per doubling of the GPUs a request is sharded across (interconnect, idle waits)
+  parallelOverhead: 0.05,
+  uncertainty: { low: 0.3, high: 2.5 } // Multipliers on the estimated kWh per query
+};
+
+// ============================================
+// ADOPTION - Scaling one session to a city-year
+// ============================================
+
+export const ADOPTION = {
+  // For workloads without their own `adoption` block, such as custom models
+  defaults: {
+    adoptionRate: 0.2, // Share of the city's residents (or deployments per resident)
+    sessionsPerUserPerDay: 1
+  },
+  daysPerYear: 365
+};
+
+// ============================================
+// CUSTOM WORKLOAD BUILDER - User-defined models
+// ============================================
+
+export const CUSTOM_WORKLOAD = {
+  // Active parameters per token, run through the INFERENCE model
+  modelSizes: {
+    small:  { label: 'Small (~8B)', paramsBillions: 8 },
+    medium: { label: 'Medium (~70B)', paramsBillions: 70 },
+    large:  { label: 'Large (GPT-4 class)', paramsBillions: 280 }, // = the chatbot workload at the defaults
+    xl:     { label: 'Frontier (1T+)', paramsBillions: 1000 }
+  },
+  outputShare: 0.3, // Share of a query's tokens that are generated rather than read
+  payloadMBPerQuery: 0.06, // Request, streamed response and page updates
+  minutesPerQuery: 0.6, // Reading and typing time between queries
+  defaults: {
+    modelSize: 'large',
+    tokensPerQuery: 500,
+    queries: 25,
+    gpuType: 'A100',
+    gpusPerRequest: 8
+  }
+};
+
 // ============================================
 // MATERIALS SUPPLY CHAIN - Embedded externalities
 // ============================================
@@ -323,7 +705,8 @@ export const MATERIALS = {
     sourceCoords: { lat: -10.4167, lng: 25.9167 }, // Katanga province
     use: 'GPU batteries and power systems',
     laborIssue: 'Child labor, unsafe mining conditions',
-    annualDemandTons: 175000
+    annualDemandTons: 175000,
+    landM2aPerTon: 80 // m²·year per tonne (open pits, tailings)
   },
   
   lithium: {
@@ -333,7 +716,8 @@ export const MATERIALS = {
     sourceCoords: { lat: -23.8634, lng: -67.4511 }, // Atacama
     use: 'Battery storage systems',
     laborIssue: 'Water depletion in indigenous lands',
-    annualDemandTons: 130000
+    annualDemandTons: 130000,
+    landM2aPerTon: 70 // m²·year per tonne (evaporation ponds)
   },
   
   rareEarth: {
@@ -343,7 +727,8 @@ export const MATERIALS = {
     sourceCoords: { lat: 41.8000, lng: 109.9667 },
     use: 'Magnets in hard drives and cooling systems',
     laborIssue: 'Toxic waste, radioactive tailings',
-    annualDemandTons: 240000
+    annualDemandTons: 240000,
+    landM2aPerTon: 30 // m²·year per tonne (open pit, tailings dam)
   },
   
   silicon: {
@@ -353,7 +738,8 @@ export const MATERIALS = {
     sourceCoords: { lat: 41.7685, lng: 86.1471 },
     use: 'Semiconductor fabrication',
     laborIssue: 'Forced labor allegations',
-    annualDemandTons: 8000000
+    annualDemandTons: 8000000,
+    landM2aPerTon: 2 // m²·year per tonne (quartz quarries)
   },
   
   copper: {
@@ -363,7 +749,8 @@ export const MATERIALS = {
     sourceCoords: { lat: -22.4585, lng: -68.9291 }, // Chuquicamata
     use: 'Wiring, heat sinks, infrastructure',
     laborIssue: 'Environmental destruction, water conflicts',
-    annualDemandTons: 25000000
+    annualDemandTons: 25000000,
+    landM2aPerTon: 20 // m²·year per tonne (open pits, <1% ore grade)
   }
 };
 
@@ -406,44 +793,113 @@ export const EWASTE = {
 };
 
 // ============================================
-// EMISSIONS DRIFT PATTERNS
+// ATMOSPHERIC DISPERSION
+// ============================================
+
+export const DISPERSION = {
+  // Emissions are followed for two days, re-reading the wind every 3 hours
+  hours: 48,
+  stepHours: 3,
+
+  // Plume half-width grows with downwind distance and its cloud thins out
+  plume: {
+    baseHalfWidthKm: 30,
+    spreadPerKm: 0.15,
+    maxOpacity: 0.45
+  },
+
+  // A named region counts as downwind within this angle of the drift bearing
+  reachAngleDeg: 50,
+
+  // Prevailing surface wind by latitude band and month (Jan–Dec). towardDeg is
+  // where the air goes (clockwise from north), the reverse of the meteorological
+  // "from" direction. Zonal climatology: trades, westerlies, polar easterlies,
+  // and the Asian monsoon reversal near the equator.
+  windBands: [
+    {
+      name: 'Southern polar easterlies', minLat: -90, maxLat: -60,
+      towardDeg: [265, 265, 265, 265, 265, 265, 265, 265, 265, 265, 265, 265],
+      speedKmh: [20, 20, 22, 24, 26, 28, 28, 28, 26, 24, 22, 20]
+    },
+    {
+      name: 'Southern westerlies', minLat: -60, maxLat: -30,
+      towardDeg: [95, 95, 95, 95, 90, 90, 90, 90, 90, 95, 95, 95],
+      speedKmh: [32, 32, 34, 36, 38, 40, 40, 40, 38, 36, 34, 32]
+    },
+    {
+      name: 'Southeast trades', minLat: -30, maxLat: -5,
+      towardDeg: [300, 300, 300, 300, 300, 305, 305, 305, 300, 300, 300, 300],
+      speedKmh: [18, 18, 18, 20, 22, 24, 24, 24, 22, 20, 18, 18]
+    },
+    {
+      name: 'Equatorial monsoon', minLat: -5, maxLat: 15,
+      towardDeg: [225, 225, 225, 290, 300, 45, 45, 45, 45, 300, 260, 225],
+      speedKmh: [16, 16, 14, 6, 6, 14, 16, 16, 14, 6, 8, 14]
+    },
+    {
+      name: 'Northeast trades', minLat: 15, maxLat: 30,
+      towardDeg: [225, 225, 225, 230, 235, 240, 240, 240, 235, 230, 225, 225],
+      speedKmh: [20, 20, 20, 18, 18, 16, 16, 16, 16, 18, 20, 20]
+    },
+    {
+      name: 'Subtropical westerlies', minLat: 30, maxLat: 45,
+      towardDeg: [75, 75, 70, 65, 60, 20, 350, 350, 30, 60, 70, 75],
+      speedKmh: [24, 24, 24, 22, 20, 12, 10, 10, 12, 18, 22, 24]
+    },
+    {
+      name: 'Mid-latitude westerlies', minLat: 45, maxLat: 65,
+      towardDeg: [60, 60, 65, 70, 75, 80, 80, 80, 75, 65, 60, 60],
+      speedKmh: [36, 34, 32, 28, 24, 22, 20, 22, 26, 30, 34, 36]
+    },
+    {
+      name: 'Northern polar easterlies', minLat: 65, maxLat: 90,
+      towardDeg: [250, 250, 250, 255, 260, 265, 265, 265, 260, 255, 250, 250],
+      speedKmh: [22, 22, 20, 20, 18, 16, 16, 16, 18, 20, 22, 22]
+    }
+  ]
+};
+
+// ============================================
+// EMISSIONS DRIFT REGIONS
 // ============================================
 
 export const EMISSIONS_DRIFT = {
+  // Named regions around each site that a drift trajectory can reach; which of
+  // them are downwind is worked out from DISPERSION for the current month.
+  // exposureShare: each region's share of the population exposed to what
+  // drifts over it (oceans get little). country: null for open water.
   arizona: {
-    direction: 'west-northwest',
     destinations: [
-      { name: 'California', coords: { lat: 36.7783, lng: -119.4179 } },
-      { name: 'Pacific Ocean', coords: { lat: 32.0, lng: -130.0 } }
-    ],
-    driftDistanceKm: 2400
+      { name: 'New Mexico', country: 'USA', coords: { lat: 35.0, lng: -106.0 }, exposureShare: 0.6 },
+      { name: 'Northern Arizona & Utah', country: 'USA', coords: { lat: 38.0, lng: -112.0 }, exposureShare: 0.35 },
+      { name: 'California', country: 'USA', coords: { lat: 36.7783, lng: -119.4179 }, exposureShare: 0.95 },
+      { name: 'Pacific Ocean', country: null, coords: { lat: 32.0, lng: -130.0 }, exposureShare: 0.05 }
+    ]
   },
   
   finland: {
-    direction: 'east',
     destinations: [
-      { name: 'Russia', coords: { lat: 61.5240, lng: 105.3188 } },
-      { name: 'Arctic', coords: { lat: 70.0, lng: 30.0 } }
-    ],
-    driftDistanceKm: 3200
+      { name: 'Russia', country: 'Russia', coords: { lat: 61.0, lng: 34.0 }, exposureShare: 0.9 },
+      { name: 'Estonia', country: 'Estonia', coords: { lat: 58.8, lng: 25.5 }, exposureShare: 0.8 },
+      { name: 'Arctic', country: null, coords: { lat: 70.0, lng: 30.0 }, exposureShare: 0.1 }
+    ]
   },
   
   singapore: {
-    direction: 'north',
     destinations: [
-      { name: 'South China Sea', coords: { lat: 15.0, lng: 110.0 } },
-      { name: 'Vietnam Coast', coords: { lat: 16.0544, lng: 108.2022 } }
-    ],
-    driftDistanceKm: 1800
+      { name: 'Sumatra', country: 'Indonesia', coords: { lat: 0.5, lng: 101.5 }, exposureShare: 0.8 },
+      { name: 'Peninsular Malaysia', country: 'Malaysia', coords: { lat: 3.5, lng: 102.5 }, exposureShare: 0.85 },
+      { name: 'South China Sea', country: null, coords: { lat: 15.0, lng: 110.0 }, exposureShare: 0.15 },
+      { name: 'Vietnam Coast', country: 'Vietnam', coords: { lat: 16.0544, lng: 108.2022 }, exposureShare: 0.85 }
+    ]
   },
   
   ireland: {
-    direction: 'east',
     destinations: [
-      { name: 'United Kingdom', coords: { lat: 54.7024, lng: -3.2766 } },
-      { name: 'North Sea', coords: { lat: 56.0, lng: 3.0 } }
-    ],
-    driftDistanceKm: 1200
+      { name: 'United Kingdom', country: 'United Kingdom', coords: { lat: 54.7024, lng: -3.2766 }, exposureShare: 0.9 },
+      { name: 'North Sea', country: null, coords: { lat: 56.0, lng: 3.0 }, exposureShare: 0.1 },
+      { name: 'Atlantic Ocean', country: null, coords: { lat: 53.0, lng: -15.0 }, exposureShare: 0.05 }
+    ]
   }
 };
 
@@ -467,6 +923,14 @@ export const TIME_MODIFIERS = {
     0.7, 0.7, 0.75, 0.8, 0.85, 0.9,  // 12-17 (solar peak then drop)
     0.95, 1.0, 1.05, 1.1, 1.1, 1.1   // 18-23 (evening fossil)
   ],
+
+  // Marginal plant intensity: gas almost all day, less efficient peakers at the evening peak
+  marginalCarbonIntensityByHour: [
+    0.98, 0.98, 0.98, 0.98, 0.98, 0.98,
+    1.0, 1.0, 1.0, 1.0, 1.0, 1.0,
+    1.0, 1.0, 1.0, 1.0, 1.02, 1.05,
+    1.08, 1.08, 1.05, 1.02, 1.0, 0.98
+  ],
   
   // Electricity demand profile
   demandByHour: [
@@ -491,14 +955,18 @@ export const INTERIOR_SCALE = {
     idleWatts: 15,
     activeWatts: 45,
     networkWatts: 3, // Wi-Fi
-    embodiedKgCO2: 350 // Lifecycle embodied carbon
+    embodiedKgCO2: 350, // Lifecycle embodied carbon
+    lifetimeYears: 4,
+    activeHoursPerDay: 6 // Embodied carbon is shared across this much use
   },
   phone: {
     name: 'Smartphone',
     idleWatts: 1,
     activeWatts: 5,
     networkWatts: 1.5, // Cellular
-    embodiedKgCO2: 70
+    embodiedKgCO2: 70,
+    lifetimeYears: 3,
+    activeHoursPerDay: 4
   }
 };
 
@@ -515,14 +983,192 @@ export const BUILDING_SCALE = {
     ups: 0.06,        // UPS losses
     distribution: 0.02 // Power distribution
   },
-  // GPU specs per workload type
+  // GPU specs per workload type. `bom` is the mined material per accelerator
+  // in grams, including its share of the host server, rack and UPS batteries.
   gpuPower: {
-    A100: { tdpWatts: 400, name: 'NVIDIA A100' },
-    T4: { tdpWatts: 70, name: 'NVIDIA T4' },
-    H100: { tdpWatts: 700, name: 'NVIDIA H100' }
+    A100: {
+      tdpWatts: 400,
+      peakTflops: 312, // Dense FP16/BF16 tensor throughput
+      name: 'NVIDIA A100',
+      embodiedKgCO2: 400, // Manufacturing, including its share of the server
+      bom: { copper: 2500, silicon: 400, cobalt: 30, lithium: 20, rareEarth: 10 }
+    },
+    T4: {
+      tdpWatts: 70,
+      peakTflops: 65,
+      name: 'NVIDIA T4',
+      embodiedKgCO2: 120,
+      bom: { copper: 600, silicon: 120, cobalt: 8, lithium: 5, rareEarth: 3 } // Low-profile card, dense edge servers
+    },
+    H100: {
+      tdpWatts: 700,
+      peakTflops: 989,
+      name: 'NVIDIA H100',
+      embodiedKgCO2: 550,
+      bom: { copper: 3200, silicon: 500, cobalt: 35, lithium: 25, rareEarth: 12 }
+    }
+  },
+  // Service life over which hardware materials and embodied carbon are amortized
+  hardware: {
+    lifetimeYears: 5,
+    utilization: 0.6, // Average load across that life
+    manufacturingCarbonIntensity: 600 // gCO₂/kWh of chip fabs and assembly, to express embodied carbon as energy
   }
 };
 
+// ============================================
+// LAND USE DATA - Land occupied per session
+// ============================================
+
+export const LAND_USE = {
+  // Life-cycle land occupation per MWh generated, by grid mix type
+  // (m²·year/MWh; UNECE 2021 life-cycle assessment, rounded)
+  energyM2aPerMWh: {
+    coal: 15,        // Mining and plant
+    natural_gas: 1,
+    oil: 2,
+    peat: 20,        // Drained bog extraction
+    nuclear: 0.3,
+    hydro: 14,       // Reservoir area
+    wind: 1,         // Turbine pads and roads, not spacing
+    solar: 19,       // Ground-mounted PV
+    biomass: 200,    // Managed forest and crops
+    other: 5
+  }
+};
+
+// ============================================
+// GENERATION WATER - Off-site (scope 2) water
+// ============================================
+
+// Plant types older datasets use, mapped to the grid mix keys that
+// GENERATION_WATER and AIR_POLLUTANTS are keyed by
+export const SOURCE_TYPE_ALIASES = { gas: 'natural_gas', lng: 'natural_gas' };
+
+export const GENERATION_WATER = {
+  // Water consumed (evaporated) per kWh generated, by grid mix type (L/kWh;
+  // Macknick 2012 operational medians, the factors used by Li et al. 2023)
+  consumptionLitersPerKwh: {
+    coal: 2.6,       // Recirculating cooling towers
+    natural_gas: 0.75, // Combined cycle
+    oil: 1.6,
+    peat: 2.6,       // Steam plants like coal
+    nuclear: 2.5,
+    hydro: 17,       // Reservoir evaporation
+    wind: 0,
+    solar: 0.1,      // Panel washing
+    biomass: 2.1,
+    other: 1.0
+  },
+  // Water withdrawn per kWh (L/kWh; Macknick 2012, recirculating cooling).
+  // What is withdrawn but not consumed is discharged, warmer, downstream.
+  withdrawalLitersPerKwh: {
+    coal: 3.8,
+    natural_gas: 1.0,
+    oil: 4.0,
+    peat: 3.8,
+    nuclear: 4.2,
+    hydro: 17,       // Only the evaporated share; turbine flow is not withdrawn
+    wind: 0,
+    solar: 0.1,
+    biomass: 3.3,
+    other: 1.5
+  }
+};
+
+// ============================================
+// WATER SCARCITY - Weighting consumption by local stress
+// ============================================
+
+export const WATER_SCARCITY = {
+  // AWARE-style characterization factors (Boulanger et al. 2018): liters of
+  // world-average water equivalent per liter consumed. AWARE runs from 0.1 in
+  // wet basins to a cap of 100 where demand exceeds availability. Used when a
+  // datacenter has no basin-specific `water.awareFactor`.
+  factorsByStressLevel: {
+    low: 0.5,
+    moderate: 3,
+    high: 20,
+    extreme: 60
+  }
+};
+
+// ============================================
+// AIR POLLUTANTS - Local stack emissions from combustion plants
+// ============================================
+
+export const AIR_POLLUTANTS = {
+  labels: { nox: 'NOx', so2: 'SO₂', pm25: 'PM2.5' },
+  // Stack emission factors by grid mix type (g/kWh generated; EEA/EMEP 2019
+  // Guidebook and US eGRID fleet averages). Types without an entry burn nothing.
+  gramsPerKwh: {
+    coal: { nox: 1.2, so2: 1.8, pm25: 0.1 },
+    natural_gas: { nox: 0.2, so2: 0.005, pm25: 0.01 },
+    oil: { nox: 1.1, so2: 2.5, pm25: 0.15 },
+    peat: { nox: 1.0, so2: 1.5, pm25: 0.1 }
+  }
+};
+
+// ============================================
+// HEALTH BURDEN - Damage from pollutants and CO₂
+// ============================================
+
+export const HEALTH_BURDEN = {
+  // Disability-adjusted life years per kg emitted (ReCiPe 2016, hierarchist):
+  // fine particulate formation (NOx 0.11, SO₂ 0.29, PM2.5 1 kg PM2.5-eq, at
+  // 6.29e-4 DALY per kg PM2.5-eq) and global warming's harm to human health
+  dalysPerKg: {
+    nox: 6.9e-5,
+    so2: 1.82e-4,
+    pm25: 6.29e-4,
+    co2: 9.28e-7
+  },
+  // Share of each pollutant's burden falling near the plants. Primary PM2.5
+  // settles close by; NOx and SO₂ form nitrate and sulfate as they drift.
+  localShare: {
+    nox: 0.25,
+    so2: 0.25,
+    pm25: 0.6
+  },
+  climateRegion: 'Global (warming)'
+};
+
+// ============================================
+// WASTE HEAT - Where the session's energy ends up
+// ============================================
+
+export const WASTE_HEAT = {
+  // Heat carried off by each liter evaporated (latent heat of vaporization, ~2.26 MJ/kg)
+  latentKwhPerLiter: 0.627,
+  // Heat carried off by each liter discharged per kelvin of warming (4.186 kJ/kg·K)
+  sensibleKwhPerLiterKelvin: 0.001163,
+  // Home heat demand for sites without a scheme of their own (European average)
+  homeHeatKwhPerYear: 12000,
+  // What each sink is called in the narrative
+  sinkNames: {
+    atmosphere: 'the air',
+    seawater: 'the sea',
+    river: 'the river'
+  }
+};
+
+// ============================================
+// NETWORK - Moving the session's data
+// ============================================
+
+export const NETWORK = {
+  // Access networks (home broadband, mobile last mile), per GB
+  // (Aslan 2018 trend, projected to 2024)
+  accessKwhPerGB: 0.02,
+  // Core and metro routers plus optical transport, per GB per router hop
+  kwhPerGBPerHop: 0.0015,
+  baseHops: 6, // Hops inside the user's and the datacenter's own networks
+  kmPerHop: 800, // Long-haul routes add roughly one router per 800 km
+  // Network gear sits on every grid along the route, so use world averages
+  carbonIntensity: 440, // gCO₂/kWh (IEA 2023)
+  waterLitersPerKwh: 1.8 // Consumed at power plants (Macknick 2012)
+};
+
 // ============================================
 // ENERGY REFERENCE DATA - Human-readable comparisons
 // ============================================
@@ -566,22 +1212,32 @@ export const ENERGY_REFERENCE = {
 };
 
 export const NARRATIVES = {
+  routing: (data) => `
+    This service load-balances: ${data.split}.
+  `,
+  
   standard: (data) => `
     Your request traveled ${data.distanceKm.toLocaleString()} km to a server in ${data.datacenterLocation}. 
-    The electricity came from a grid that is ${Math.round(data.fossilPercent)}% fossil-fueled. 
+    The electricity came from a grid that is ${Math.round(data.fossilPercent)}% fossil-fueled, 
+    and every kWh of it ended as heat${data.heatReusedShare > 0 ? `: ${Math.round(data.heatReusedShare * 100)}% warmed homes through the ${data.heatReuseScheme}, the rest was dumped into ${data.heatMainSink}` : `, dumped into ${data.heatMainSink}`}. 
     ${data.waterLiters > 0 ? `${data.waterLiters.toFixed(1)} liters of water were consumed for cooling.` : 'Seawater cooling was used.'} 
-    ${data.co2Grams.toFixed(0)}g of CO₂ was released—it will drift ${data.emissionsDrift.direction} toward ${data.emissionsDrift.destinations[0].name}.
+    The power plants feeding it evaporated another ${data.offsiteWaterLiters.toFixed(1)} liters, 
+    and ${data.waterDischargedLiters.toFixed(1)} liters were withdrawn only to be returned warmer. 
+    Weighted by local water scarcity, that is ${data.scarceWaterLiters.toFixed(1)} liters of world-average water. 
+    ${data.co2Grams.toFixed(0)}g of CO₂ was released—on the prevailing wind it drifts ${data.emissionsDrift.direction}, ${data.emissionsDrift.driftDistanceKm.toLocaleString()} km in ${data.emissionsDrift.hours} hours${data.emissionsDrift.destinations.length > 0 ? `, over ${data.emissionsDrift.destinations[0].name}` : ''}.
+    Its smoke and warming cost about ${Number(data.healthMicroDalys.toPrecision(2))} micro-DALYs of healthy life, 
+    ${Math.round(data.healthElsewhereShare * 100)}% of it borne outside ${data.cityCountry}.
   `,
   
   waterStress: (data) => `
     The ${data.datacenterName} draws water from ${data.waterSource}, an aquifer that is already ${Math.round(data.aquiferDepletion * 100)}% depleted. 
-    This single session withdrew ${data.waterLiters.toFixed(1)} liters. 
+    This single session withdrew ${data.waterWithdrawnLiters.toFixed(1)} liters. 
     By the time you finish reading this, the data center has consumed another ${(data.waterLitersPerSecond * 5).toFixed(0)} liters.
   `,
   
   emissions: (data) => `
     The ${data.co2Grams.toFixed(0)} grams of CO₂ from your session will persist in the atmosphere for 300-1000 years. 
-    It joins the ${data.annualTonsCO2.toLocaleString()} tons emitted annually by this facility. 
+    It joins the ${Math.round(data.annualTonsCO2).toLocaleString()} tons a year that ${data.cityName}'s use of this workload emits. 
     The warming it causes will be felt most in regions that consume the least AI.
   `,
   
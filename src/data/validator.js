@@ -0,0 +1,706 @@
+/**
+ * GHOST NETWORK - Dataset Validator
+ * Checks the data model shape and reports every violation with its path.
+ * Pure module (no DOM) so it can run at boot and from Node.
+ */
+
+import * as MODELS from './models.js';
+
+const HOURS_PER_DAY = 24;
+const GRID_MIX_TOLERANCE = 0.01;
+const STRESS_LEVELS = ['low', 'moderate', 'high', 'extreme'];
+const HOURLY_PROFILES = ['waterUsageByHour', 'carbonIntensityByHour', 'marginalCarbonIntensityByHour', 'demandByHour'];
+const MONTHS_PER_YEAR = 12;
+const MONTHLY_TABLES = ['avgTemp', 'heatPenalty', 'wueMultiplier', 'solarShare', 'windShare'];
+const HEAT_WATER_SINKS = ['seawater', 'river'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** Collects ok / warning / error entries, each tied to a dotted path */
+class ValidationReport {
+  constructor() {
+    this.entries = [];
+  }
+
+  ok(path, message) {
+    this.entries.push({ level: 'ok', path, message });
+  }
+
+  warn(path, message) {
+    this.entries.push({ level: 'warning', path, message });
+  }
+
+  error(path, message) {
+    this.entries.push({ level: 'error', path, message });
+  }
+
+  get errors() {
+    return this.entries.filter(e => e.level === 'error');
+  }
+
+  get warnings() {
+    return this.entries.filter(e => e.level === 'warning');
+  }
+
+  get valid() {
+    return this.errors.length === 0;
+  }
+
+  toString() {
+    return this.entries.map(formatEntry).join('\n');
+  }
+}
+
+/** Format one entry, e.g. `DATACENTERS.ireland.energy.gridMix: sums to 1.00 (ok)` */
+export function formatEntry(entry) {
+  const suffix = entry.level === 'ok' ? ' (ok)' : entry.level === 'warning' ? ' (warning)' : '';
+  return `${entry.path}: ${entry.message}${suffix}`;
+}
+
+// ============================================
+// Field checks
+// ============================================
+
+function checkCoords(report, path, coords) {
+  if (!isObject(coords)) {
+    report.error(path, 'missing');
+    return;
+  }
+  if (!isNumber(coords.lat) || coords.lat < -90 || coords.lat > 90) {
+    report.error(`${path}.lat`, `${coords.lat} is not a latitude in [-90, 90]`);
+  }
+  if (!isNumber(coords.lng) || coords.lng < -180 || coords.lng > 180) {
+    report.error(`${path}.lng`, `${coords.lng} is not a longitude in [-180, 180]`);
+  }
+}
+
+function checkNumber(report, path, value, { min = -Infinity, max = Infinity } = {}) {
+  if (value === undefined) {
+    report.error(path, 'missing');
+  } else if (!isNumber(value)) {
+    report.error(path, `${JSON.stringify(value)} is not a number`);
+  } else if (value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `in [${min}, ${max}]`;
+    report.error(path, `${value} is out of range (expected ${range})`);
+  }
+}
+
+function checkString(report, path, value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    report.error(path, 'missing');
+  }
+}
+
+function checkSeries(report, path, values, length, { allowNegative = false } = {}) {
+  if (!Array.isArray(values)) {
+    report.error(path, 'missing');
+    return false;
+  }
+  if (values.length !== length) {
+    report.error(path, `has ${values.length} entries (expected ${length})`);
+    return false;
+  }
+  const bad = values.findIndex(v => !isNumber(v) || (!allowNegative && v < 0));
+  if (bad !== -1) {
+    const expected = allowNegative ? 'a number' : 'a non-negative number';
+    report.error(`${path}[${bad}]`, `${JSON.stringify(values[bad])} is not ${expected}`);
+    return false;
+  }
+  return true;
+}
+
+function checkHourly(report, path, values) {
+  if (checkSeries(report, path, values, HOURS_PER_DAY)) {
+    report.ok(path, `${HOURS_PER_DAY} hourly entries`);
+  }
+}
+
+function checkMonthly(report, path, monthly) {
+  if (!isObject(monthly)) {
+    report.error(path, `must be an object of monthly tables (${MONTHLY_TABLES.join(', ')})`);
+    return;
+  }
+
+  for (const [name, values] of Object.entries(monthly)) {
+    if (!MONTHLY_TABLES.includes(name)) {
+      report.error(`${path}.${name}`, `unknown table (expected one of ${MONTHLY_TABLES.join(', ')})`);
+      continue;
+    }
+    if (checkSeries(report, `${path}.${name}`, values, MONTHS_PER_YEAR, { allowNegative: name === 'avgTemp' })) {
+      report.ok(`${path}.${name}`, `${MONTHS_PER_YEAR} monthly entries`);
+    }
+  }
+
+  // Solar and wind replace part of the grid mix, so together they cannot exceed it
+  const solar = monthly.solarShare || [];
+  const wind = monthly.windShare || [];
+  for (let month = 0; month < MONTHS_PER_YEAR; month++) {
+    const total = (solar[month] || 0) + (wind[month] || 0);
+    if (total > 1) {
+      report.error(`${path}[${month}]`, `solarShare + windShare is ${total.toFixed(2)} (expected <= 1)`);
+    }
+  }
+}
+
+// Bounds must bracket the central value they describe
+function checkUncertainty(report, path, uncertainty, centrals) {
+  if (!isObject(uncertainty)) {
+    report.error(path, 'must be an object of { low, high } bounds');
+    return;
+  }
+
+  for (const [name, bounds] of Object.entries(uncertainty)) {
+    const boundsPath = `${path}.${name}`;
+    if (!(name in centrals)) {
+      report.error(boundsPath, `unknown parameter (expected one of ${Object.keys(centrals).join(', ')})`);
+      continue;
+    }
+    if (!isObject(bounds) || !isNumber(bounds.low) || !isNumber(bounds.high)) {
+      report.error(boundsPath, 'expected numeric { low, high }');
+      continue;
+    }
+
+    const central = centrals[name];
+    if (!isNumber(central)) {
+      report.error(boundsPath, 'has no central value to bound');
+    } else if (bounds.low < 0 || bounds.low > central || bounds.high < central) {
+      report.error(boundsPath, `[${bounds.low}, ${bounds.high}] does not bracket central value ${central}`);
+    } else {
+      report.ok(boundsPath, `[${bounds.low}, ${bounds.high}] around ${central}`);
+    }
+  }
+}
+
+function checkId(report, path, key, entry) {
+  if (entry.id !== key) {
+    report.error(`${path}.id`, `"${entry.id}" does not match key "${key}"`);
+  }
+}
+
+// ============================================
+// Section checks
+// ============================================
+
+function checkCities(report, { CITIES, DATACENTERS, ENERGY_REFERENCE }) {
+  for (const [key, city] of Object.entries(CITIES)) {
+    const path = `CITIES.${key}`;
+    checkId(report, path, key, city);
+    checkString(report, `${path}.name`, city.name);
+    checkCoords(report, `${path}.coords`, city.coords);
+    checkNumber(report, `${path}.population`, city.population, { min: 0 });
+
+    if (city.defaultDatacenter && !DATACENTERS[city.defaultDatacenter]) {
+      report.error(`${path}.defaultDatacenter`, `"${city.defaultDatacenter}" is not a DATACENTERS id`);
+    }
+
+    // Consumption mode falls back to generic references, which still works
+    if (!ENERGY_REFERENCE.apartment[key]) {
+      report.warn(`ENERGY_REFERENCE.apartment.${key}`, 'missing, using the default apartment');
+    }
+    if (!ENERGY_REFERENCE.referenceBuilding[key]) {
+      report.warn(`ENERGY_REFERENCE.referenceBuilding.${key}`, 'missing, using Barcelona');
+    }
+  }
+}
+
+function checkDatacenters(report, { DATACENTERS }) {
+  for (const [key, dc] of Object.entries(DATACENTERS)) {
+    const path = `DATACENTERS.${key}`;
+    checkId(report, path, key, dc);
+    checkString(report, `${path}.name`, dc.name);
+    // Optional: only labels the health burden borne at home
+    if (dc.country !== undefined) {
+      checkString(report, `${path}.country`, dc.country);
+    }
+    checkCoords(report, `${path}.coords`, dc.coords);
+
+    // Energy
+    const energy = dc.energy || {};
+    if (!isObject(dc.energy)) report.error(`${path}.energy`, 'missing');
+
+    if (isObject(energy.gridMix)) {
+      const shares = Object.entries(energy.gridMix);
+      const badShare = shares.find(([, share]) => !isNumber(share) || share < 0 || share > 1);
+      const total = shares.reduce((sum, [, share]) => sum + (isNumber(share) ? share : 0), 0);
+
+      if (badShare) {
+        report.error(`${path}.energy.gridMix.${badShare[0]}`, `${badShare[1]} is not a share in [0, 1]`);
+      } else if (Math.abs(total - 1) > GRID_MIX_TOLERANCE) {
+        report.error(`${path}.energy.gridMix`, `sums to ${total.toFixed(2)} (expected 1.00)`);
+      } else {
+        report.ok(`${path}.energy.gridMix`, `sums to ${total.toFixed(2)}`);
+      }
+    } else {
+      report.error(`${path}.energy.gridMix`, 'missing');
+    }
+
+    checkNumber(report, `${path}.energy.pue`, energy.pue, { min: 1 });
+    checkNumber(report, `${path}.energy.carbonIntensity`, energy.carbonIntensity, { min: 0 });
+    if (energy.marginalCarbonIntensity !== undefined) {
+      checkNumber(report, `${path}.energy.marginalCarbonIntensity`, energy.marginalCarbonIntensity, { min: 0 });
+    }
+    if (energy.renewableClaims !== undefined) {
+      checkRenewableClaims(report, `${path}.energy.renewableClaims`, energy.renewableClaims);
+    }
+
+    if (Array.isArray(energy.sources)) {
+      energy.sources.forEach((source, i) => {
+        checkString(report, `${path}.energy.sources[${i}].name`, source.name);
+        checkCoords(report, `${path}.energy.sources[${i}].coords`, source.coords);
+        // Plants are matched to the grid mix by type for water and air pollution
+        const type = MODELS.SOURCE_TYPE_ALIASES[source.type] ?? source.type;
+        if (isObject(energy.gridMix) && !(type in energy.gridMix)) {
+          report.warn(`${path}.energy.sources[${i}].type`, `"${source.type}" is not in the grid mix`);
+        }
+      });
+    } else {
+      report.error(`${path}.energy.sources`, 'missing');
+    }
+
+    // Water
+    const water = dc.water || {};
+    if (!isObject(dc.water)) report.error(`${path}.water`, 'missing');
+    checkNumber(report, `${path}.water.wue`, water.wue, { min: 0 });
+    // Optional: without it, every liter withdrawn counts as consumed
+    if (water.consumptionShare !== undefined) {
+      checkNumber(report, `${path}.water.consumptionShare`, water.consumptionShare, { min: 0, max: 1 });
+    }
+    if (water.seawaterLitersPerKwh !== undefined) {
+      checkNumber(report, `${path}.water.seawaterLitersPerKwh`, water.seawaterLitersPerKwh, { min: 0 });
+    }
+    checkNumber(report, `${path}.water.aquiferDepletion`, water.aquiferDepletion, { min: 0, max: 1 });
+    checkNumber(report, `${path}.water.annualWithdrawal`, water.annualWithdrawal, { min: 0 });
+    checkCoords(report, `${path}.water.sourceCoords`, water.sourceCoords);
+    if (!STRESS_LEVELS.includes(water.stressLevel)) {
+      report.error(`${path}.water.stressLevel`, `"${water.stressLevel}" is not one of ${STRESS_LEVELS.join(', ')}`);
+    }
+    if (water.awareFactor !== undefined) {
+      checkNumber(report, `${path}.water.awareFactor`, water.awareFactor, { min: 0.1, max: 100 });
+    }
+
+    if (dc.heat !== undefined) {
+      checkHeat(report, `${path}.heat`, dc.heat);
+    }
+
+    if (dc.uncertainty !== undefined) {
+      checkUncertainty(report, `${path}.uncertainty`, dc.uncertainty, {
+        pue: energy.pue,
+        wue: water.wue,
+        carbonIntensity: energy.carbonIntensity,
+        marginalCarbonIntensity: energy.marginalCarbonIntensity
+      });
+    }
+
+    // Optional site-specific hourly profiles
+    if (dc.hourly !== undefined) {
+      for (const [name, curve] of Object.entries(dc.hourly)) {
+        if (!HOURLY_PROFILES.includes(name)) {
+          report.error(`${path}.hourly.${name}`, `unknown profile (expected one of ${HOURLY_PROFILES.join(', ')})`);
+        } else {
+          checkHourly(report, `${path}.hourly.${name}`, curve);
+        }
+      }
+    }
+
+    // Climate
+    const climate = dc.climate || {};
+    checkNumber(report, `${path}.climate.heatPenalty`, climate.heatPenalty, { min: 0 });
+    if (climate.monthly !== undefined) {
+      checkMonthly(report, `${path}.climate.monthly`, climate.monthly);
+    }
+  }
+}
+
+function checkWorkloads(report, { WORKLOADS, BUILDING_SCALE }) {
+  for (const [key, workload] of Object.entries(WORKLOADS)) {
+    const path = `WORKLOADS.${key}`;
+    checkId(report, path, key, workload);
+    checkString(report, `${path}.name`, workload.name);
+
+    const perSession = workload.perSession || {};
+    if (!isObject(workload.perSession)) report.error(`${path}.perSession`, 'missing');
+    checkNumber(report, `${path}.perSession.durationMinutes`, perSession.durationMinutes, { min: 0 });
+    if (perSession.payloadMB !== undefined) {
+      checkNumber(report, `${path}.perSession.payloadMB`, perSession.payloadMB, { min: 0 });
+    } else {
+      report.warn(`${path}.perSession.payloadMB`, 'missing, network transport counted as zero');
+    }
+
+    // The engine derives session energy from the declared formula: rate × count,
+    // where token-model formulas take the rate from INFERENCE
+    const energy = workload.energy;
+    const tokenModel = energy?.model === 'tokens';
+    if (isObject(energy)) {
+      if (energy.model !== undefined && !tokenModel) {
+        report.error(`${path}.energy.model`, `"${energy.model}" is not a known energy model (expected "tokens")`);
+      }
+      if (!tokenModel) checkString(report, `${path}.energy.rate`, energy.rate);
+      checkString(report, `${path}.energy.count`, energy.count);
+      checkString(report, `${path}.energy.unit`, energy.unit);
+      if (tokenModel) {
+        checkNumber(report, `${path}.perSession.inputTokens`, perSession.inputTokens, { min: 0 });
+        checkNumber(report, `${path}.perSession.outputTokens`, perSession.outputTokens, { min: 0 });
+        checkNumber(report, `${path}.scaling.paramsBillions`, workload.scaling?.paramsBillions, { min: Number.MIN_VALUE });
+        checkNumber(report, `${path}.scaling.gpusPerQuery`, workload.scaling?.gpusPerQuery, { min: 1 });
+      } else if (typeof energy.rate === 'string') {
+        checkNumber(report, `${path}.perSession.${energy.rate}`, perSession[energy.rate], { min: 0 });
+      }
+      if (typeof energy.count === 'string') {
+        checkNumber(report, `${path}.perSession.${energy.count}`, perSession[energy.count], { min: 0 });
+      }
+      if (energy.countDivisor !== undefined) {
+        checkNumber(report, `${path}.energy.countDivisor`, energy.countDivisor, { min: Number.MIN_VALUE });
+      }
+    } else {
+      report.error(`${path}.energy`, 'missing (expected { rate, count, unit })');
+    }
+
+    if (workload.uncertainty !== undefined) {
+      const rate = tokenModel ? null : energy?.rate;
+      checkUncertainty(report, `${path}.uncertainty`, workload.uncertainty, rate ? { [rate]: perSession[rate] } : {});
+    }
+
+    if (workload.adoption !== undefined) {
+      checkAdoption(report, `${path}.adoption`, workload.adoption);
+    }
+
+    const gpuType = workload.scaling?.gpuType;
+    if (gpuType && !BUILDING_SCALE.gpuPower[gpuType]) {
+      report.error(`${path}.scaling.gpuType`, `"${gpuType}" is not a BUILDING_SCALE.gpuPower key`);
+    }
+  }
+}
+
+function checkAdoption(report, path, adoption, { required = false } = {}) {
+  if (required || adoption.adoptionRate !== undefined) {
+    checkNumber(report, `${path}.adoptionRate`, adoption.adoptionRate, { min: 0, max: 1 });
+  }
+  if (required || adoption.sessionsPerUserPerDay !== undefined) {
+    checkNumber(report, `${path}.sessionsPerUserPerDay`, adoption.sessionsPerUserPerDay, { min: 0 });
+  }
+}
+
+function checkInference(report, { INFERENCE }) {
+  checkNumber(report, 'INFERENCE.flopsPerParamPerToken', INFERENCE.flopsPerParamPerToken, { min: Number.MIN_VALUE });
+  checkNumber(report, 'INFERENCE.utilization.prefill', INFERENCE.utilization?.prefill, { min: Number.MIN_VALUE, max: 1 });
+  checkNumber(report, 'INFERENCE.utilization.decode', INFERENCE.utilization?.decode, { min: Number.MIN_VALUE, max: 1 });
+  checkNumber(report, 'INFERENCE.hostOverhead', INFERENCE.hostOverhead, { min: 1 });
+  checkNumber(report, 'INFERENCE.parallelOverhead', INFERENCE.parallelOverhead, { min: 0 });
+
+  // Multipliers on the central estimate, so they must bracket 1
+  const bounds = INFERENCE.uncertainty || {};
+  checkNumber(report, 'INFERENCE.uncertainty.low', bounds.low, { min: 0, max: 1 });
+  checkNumber(report, 'INFERENCE.uncertainty.high', bounds.high, { min: 1 });
+}
+
+function checkAnnualization(report, { ADOPTION }) {
+  checkAdoption(report, 'ADOPTION.defaults', ADOPTION.defaults || {}, { required: true });
+  checkNumber(report, 'ADOPTION.daysPerYear', ADOPTION.daysPerYear, { min: 1, max: 366 });
+}
+
+function checkCustomWorkload(report, { CUSTOM_WORKLOAD, BUILDING_SCALE }) {
+  for (const [key, size] of Object.entries(CUSTOM_WORKLOAD.modelSizes || {})) {
+    checkString(report, `CUSTOM_WORKLOAD.modelSizes.${key}.label`, size.label);
+    checkNumber(report, `CUSTOM_WORKLOAD.modelSizes.${key}.paramsBillions`, size.paramsBillions, { min: Number.MIN_VALUE });
+  }
+  checkNumber(report, 'CUSTOM_WORKLOAD.outputShare', CUSTOM_WORKLOAD.outputShare, { min: 0, max: 1 });
+  checkNumber(report, 'CUSTOM_WORKLOAD.payloadMBPerQuery', CUSTOM_WORKLOAD.payloadMBPerQuery, { min: 0 });
+
+  const defaults = CUSTOM_WORKLOAD.defaults || {};
+  if (!CUSTOM_WORKLOAD.modelSizes?.[defaults.modelSize]) {
+    report.error('CUSTOM_WORKLOAD.defaults.modelSize', `"${defaults.modelSize}" is not a modelSizes key`);
+  }
+  if (!BUILDING_SCALE.gpuPower?.[defaults.gpuType]) {
+    report.error('CUSTOM_WORKLOAD.defaults.gpuType', `"${defaults.gpuType}" is not a BUILDING_SCALE.gpuPower key`);
+  }
+}
+
+function checkHardware(report, { BUILDING_SCALE, INTERIOR_SCALE, MATERIALS }) {
+  for (const [key, device] of Object.entries(INTERIOR_SCALE)) {
+    const path = `INTERIOR_SCALE.${key}`;
+    checkNumber(report, `${path}.embodiedKgCO2`, device.embodiedKgCO2, { min: 0 });
+    checkNumber(report, `${path}.lifetimeYears`, device.lifetimeYears, { min: 0.1 });
+    checkNumber(report, `${path}.activeHoursPerDay`, device.activeHoursPerDay, { min: 0.1, max: 24 });
+  }
+
+  for (const [type, gpu] of Object.entries(BUILDING_SCALE.gpuPower || {})) {
+    const path = `BUILDING_SCALE.gpuPower.${type}`;
+    checkNumber(report, `${path}.tdpWatts`, gpu.tdpWatts, { min: 1 });
+    checkNumber(report, `${path}.peakTflops`, gpu.peakTflops, { min: Number.MIN_VALUE });
+    checkNumber(report, `${path}.embodiedKgCO2`, gpu.embodiedKgCO2, { min: 0 });
+    if (!isObject(gpu.bom)) {
+      report.error(`${path}.bom`, 'missing');
+      continue;
+    }
+    for (const [key, grams] of Object.entries(gpu.bom)) {
+      if (!MATERIALS[key]) {
+        report.error(`${path}.bom.${key}`, `"${key}" is not a MATERIALS id`);
+      } else {
+        checkNumber(report, `${path}.bom.${key}`, grams, { min: 0 });
+      }
+    }
+  }
+
+  const hardware = BUILDING_SCALE.hardware || {};
+  checkNumber(report, 'BUILDING_SCALE.hardware.lifetimeYears', hardware.lifetimeYears, { min: 0 });
+  checkNumber(report, 'BUILDING_SCALE.hardware.utilization', hardware.utilization, { min: 0, max: 1 });
+  checkNumber(report, 'BUILDING_SCALE.hardware.manufacturingCarbonIntensity', hardware.manufacturingCarbonIntensity, { min: 1 });
+}
+
+function checkSupplyChain(report, { MATERIALS, EWASTE }) {
+  for (const [key, material] of Object.entries(MATERIALS)) {
+    checkString(report, `MATERIALS.${key}.name`, material.name);
+    checkCoords(report, `MATERIALS.${key}.sourceCoords`, material.sourceCoords);
+    checkNumber(report, `MATERIALS.${key}.landM2aPerTon`, material.landM2aPerTon, { min: 0 });
+  }
+  for (const [key, site] of Object.entries(EWASTE)) {
+    checkString(report, `EWASTE.${key}.name`, site.name);
+    checkCoords(report, `EWASTE.${key}.coords`, site.coords);
+  }
+}
+
+function checkNetwork(report, { NETWORK }) {
+  for (const key of ['accessKwhPerGB', 'kwhPerGBPerHop', 'baseHops', 'carbonIntensity', 'waterLitersPerKwh']) {
+    checkNumber(report, `NETWORK.${key}`, NETWORK[key], { min: 0 });
+  }
+  checkNumber(report, 'NETWORK.kmPerHop', NETWORK.kmPerHop, { min: 1 });
+}
+
+function checkLandUse(report, { LAND_USE, DATACENTERS }) {
+  const intensities = LAND_USE.energyM2aPerMWh || {};
+  checkNumber(report, 'LAND_USE.energyM2aPerMWh.other', intensities.other, { min: 0 });
+  for (const [type, value] of Object.entries(intensities)) {
+    checkNumber(report, `LAND_USE.energyM2aPerMWh.${type}`, value, { min: 0 });
+  }
+
+  // Grid types without their own intensity fall back to "other"
+  for (const [key, dc] of Object.entries(DATACENTERS)) {
+    for (const type of Object.keys(dc.energy?.gridMix || {})) {
+      if (intensities[type] === undefined) {
+        report.warn(`DATACENTERS.${key}.energy.gridMix.${type}`, 'no LAND_USE.energyM2aPerMWh entry, using "other"');
+      }
+    }
+  }
+}
+
+function checkGenerationWater(report, { GENERATION_WATER, DATACENTERS }) {
+  const consumption = GENERATION_WATER.consumptionLitersPerKwh || {};
+  const withdrawal = GENERATION_WATER.withdrawalLitersPerKwh || {};
+  for (const [table, intensities] of Object.entries({ consumptionLitersPerKwh: consumption, withdrawalLitersPerKwh: withdrawal })) {
+    checkNumber(report, `GENERATION_WATER.${table}.other`, intensities.other, { min: 0 });
+    for (const [type, value] of Object.entries(intensities)) {
+      checkNumber(report, `GENERATION_WATER.${table}.${type}`, value, { min: 0 });
+    }
+  }
+
+  // A plant cannot evaporate more than it withdraws
+  for (const [type, value] of Object.entries(consumption)) {
+    if (withdrawal[type] !== undefined && value > withdrawal[type]) {
+      report.error(`GENERATION_WATER.consumptionLitersPerKwh.${type}`, `exceeds withdrawal (${withdrawal[type]})`);
+    }
+  }
+
+  for (const [key, dc] of Object.entries(DATACENTERS)) {
+    for (const type of Object.keys(dc.energy?.gridMix || {})) {
+      for (const [table, intensities] of Object.entries({ consumptionLitersPerKwh: consumption, withdrawalLitersPerKwh: withdrawal })) {
+        if (intensities[type] === undefined) {
+          report.warn(`DATACENTERS.${key}.energy.gridMix.${type}`, `no GENERATION_WATER.${table} entry, using "other"`);
+        }
+      }
+    }
+  }
+}
+
+function checkHeat(report, path, heat) {
+  if (heat.waterSink !== null) {
+    if (!HEAT_WATER_SINKS.includes(heat.waterSink)) {
+      report.error(`${path}.waterSink`, `"${heat.waterSink}" is not one of ${HEAT_WATER_SINKS.join(', ')} (or null)`);
+    }
+    checkNumber(report, `${path}.dischargeDeltaK`, heat.dischargeDeltaK, { min: 0, max: 30 });
+  }
+  if (heat.reuse === null || heat.reuse === undefined) return;
+
+  const reuse = heat.reuse;
+  checkString(report, `${path}.reuse.scheme`, reuse.scheme);
+  checkCoords(report, `${path}.reuse.coords`, reuse.coords);
+  checkNumber(report, `${path}.reuse.recoveryShare`, reuse.recoveryShare, { min: 0, max: 1 });
+  checkNumber(report, `${path}.reuse.homeHeatKwhPerYear`, reuse.homeHeatKwhPerYear, { min: 1 });
+  if (checkSeries(report, `${path}.reuse.uptakeByMonth`, reuse.uptakeByMonth, MONTHS_PER_YEAR)) {
+    const bad = reuse.uptakeByMonth.findIndex(value => value > 1);
+    if (bad !== -1) {
+      report.error(`${path}.reuse.uptakeByMonth[${bad}]`, `${reuse.uptakeByMonth[bad]} is more than the recoverable heat (expected <= 1)`);
+    } else {
+      report.ok(`${path}.reuse.uptakeByMonth`, `${MONTHS_PER_YEAR} monthly entries`);
+    }
+  }
+}
+
+function checkWasteHeat(report, { WASTE_HEAT }) {
+  checkNumber(report, 'WASTE_HEAT.latentKwhPerLiter', WASTE_HEAT.latentKwhPerLiter, { min: 0 });
+  checkNumber(report, 'WASTE_HEAT.sensibleKwhPerLiterKelvin', WASTE_HEAT.sensibleKwhPerLiterKelvin, { min: 0 });
+  checkNumber(report, 'WASTE_HEAT.homeHeatKwhPerYear', WASTE_HEAT.homeHeatKwhPerYear, { min: 1 });
+  for (const sink of ['atmosphere', ...HEAT_WATER_SINKS]) {
+    checkString(report, `WASTE_HEAT.sinkNames.${sink}`, WASTE_HEAT.sinkNames?.[sink]);
+  }
+}
+
+function checkRenewableClaims(report, path, claims) {
+  checkString(report, `${path}.claim`, claims.claim);
+  checkNumber(report, `${path}.ppaShare`, claims.ppaShare, { min: 0, max: 1 });
+  checkNumber(report, `${path}.certificateShare`, claims.certificateShare, { min: 0, max: 1 });
+  checkNumber(report, `${path}.residualMixIntensity`, claims.residualMixIntensity, { min: 0 });
+  if (isNumber(claims.ppaShare) && isNumber(claims.certificateShare) && claims.ppaShare + claims.certificateShare > 1) {
+    report.error(path, `ppaShare + certificateShare is ${claims.ppaShare + claims.certificateShare}, more than the site uses`);
+  }
+}
+
+function checkWaterScarcity(report, { WATER_SCARCITY }) {
+  const factors = WATER_SCARCITY.factorsByStressLevel || {};
+  for (const level of STRESS_LEVELS) {
+    checkNumber(report, `WATER_SCARCITY.factorsByStressLevel.${level}`, factors[level], { min: 0.1, max: 100 });
+  }
+}
+
+function checkAirPollutants(report, { AIR_POLLUTANTS }) {
+  const pollutants = Object.keys(AIR_POLLUTANTS.labels || {});
+  if (pollutants.length === 0) report.error('AIR_POLLUTANTS.labels', 'missing');
+  for (const [type, factors] of Object.entries(AIR_POLLUTANTS.gramsPerKwh || {})) {
+    for (const pollutant of pollutants) {
+      checkNumber(report, `AIR_POLLUTANTS.gramsPerKwh.${type}.${pollutant}`, factors?.[pollutant], { min: 0 });
+    }
+  }
+}
+
+function checkHealthBurden(report, { HEALTH_BURDEN, AIR_POLLUTANTS }) {
+  for (const pollutant of [...Object.keys(AIR_POLLUTANTS.labels || {}), 'co2']) {
+    checkNumber(report, `HEALTH_BURDEN.dalysPerKg.${pollutant}`, HEALTH_BURDEN.dalysPerKg?.[pollutant], { min: 0 });
+  }
+  for (const pollutant of Object.keys(AIR_POLLUTANTS.labels || {})) {
+    checkNumber(report, `HEALTH_BURDEN.localShare.${pollutant}`, HEALTH_BURDEN.localShare?.[pollutant], { min: 0, max: 1 });
+  }
+  checkString(report, 'HEALTH_BURDEN.climateRegion', HEALTH_BURDEN.climateRegion);
+}
+
+function checkEmissionsDrift(report, { EMISSIONS_DRIFT, DATACENTERS }) {
+  for (const key of Object.keys(DATACENTERS)) {
+    if (!EMISSIONS_DRIFT[key]) report.error(`EMISSIONS_DRIFT.${key}`, 'missing');
+  }
+
+  for (const [key, drift] of Object.entries(EMISSIONS_DRIFT)) {
+    const path = `EMISSIONS_DRIFT.${key}`;
+    if (!DATACENTERS[key]) {
+      report.error(path, `"${key}" is not a DATACENTERS id`);
+    }
+    if (!isObject(drift)) {
+      report.error(path, 'must be an object with destinations');
+      continue;
+    }
+    if (!Array.isArray(drift.destinations) || drift.destinations.length === 0) {
+      report.error(`${path}.destinations`, 'missing');
+    } else {
+      drift.destinations.forEach((dest, i) => {
+        if (!isObject(dest)) {
+          report.error(`${path}.destinations[${i}]`, 'must be an object');
+          return;
+        }
+        checkCoords(report, `${path}.destinations[${i}].coords`, dest.coords);
+        checkNumber(report, `${path}.destinations[${i}].exposureShare`, dest.exposureShare, { min: 0, max: 1 });
+        if (dest.country !== null) checkString(report, `${path}.destinations[${i}].country`, dest.country);
+      });
+    }
+  }
+}
+
+function checkDispersion(report, { DISPERSION }) {
+  checkNumber(report, 'DISPERSION.hours', DISPERSION.hours, { min: 1 });
+  checkNumber(report, 'DISPERSION.stepHours', DISPERSION.stepHours, { min: 1, max: DISPERSION.hours });
+  checkNumber(report, 'DISPERSION.plume.baseHalfWidthKm', DISPERSION.plume?.baseHalfWidthKm, { min: 0 });
+  checkNumber(report, 'DISPERSION.plume.spreadPerKm', DISPERSION.plume?.spreadPerKm, { min: 0 });
+  checkNumber(report, 'DISPERSION.plume.maxOpacity', DISPERSION.plume?.maxOpacity, { min: 0, max: 1 });
+  checkNumber(report, 'DISPERSION.reachAngleDeg', DISPERSION.reachAngleDeg, { min: 0, max: 180 });
+
+  const bands = DISPERSION.windBands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    report.error('DISPERSION.windBands', 'missing');
+    return;
+  }
+
+  // Bands must tile the globe from pole to pole with no gaps or overlaps
+  let edge = -90;
+  bands.forEach((band, i) => {
+    const path = `DISPERSION.windBands[${i}]`;
+    if (band.minLat !== edge) {
+      report.error(`${path}.minLat`, `${band.minLat} leaves a gap or overlap (expected ${edge})`);
+    }
+    checkNumber(report, `${path}.maxLat`, band.maxLat, { min: band.minLat, max: 90 });
+    edge = band.maxLat;
+
+    if (checkSeries(report, `${path}.towardDeg`, band.towardDeg, MONTHS_PER_YEAR)) {
+      const bad = band.towardDeg.findIndex(deg => deg >= 360);
+      if (bad !== -1) report.error(`${path}.towardDeg[${bad}]`, `${band.towardDeg[bad]} is not a bearing in [0, 360)`);
+    }
+    if (checkSeries(report, `${path}.speedKmh`, band.speedKmh, MONTHS_PER_YEAR)) {
+      report.ok(`${path}`, `${MONTHS_PER_YEAR} monthly winds`);
+    }
+  });
+  if (edge !== 90) {
+    report.error(`DISPERSION.windBands[${bands.length - 1}].maxLat`, `${edge} stops short of the pole (expected 90)`);
+  }
+}
+
+function checkTimeModifiers(report, { TIME_MODIFIERS }) {
+  for (const key of HOURLY_PROFILES) {
+    checkHourly(report, `TIME_MODIFIERS.${key}`, TIME_MODIFIERS[key]);
+  }
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Validate the whole data model shape.
+ * Pass a subset of sections to override the live models (e.g. in tests).
+ */
+export function validateModels(overrides = {}) {
+  const models = { ...MODELS, ...overrides };
+  const report = new ValidationReport();
+
+  checkCities(report, models);
+  checkDatacenters(report, models);
+  checkWorkloads(report, models);
+  checkInference(report, models);
+  checkAnnualization(report, models);
+  checkCustomWorkload(report, models);
+  checkHardware(report, models);
+  checkSupplyChain(report, models);
+  checkLandUse(report, models);
+  checkGenerationWater(report, models);
+  checkWaterScarcity(report, models);
+  checkAirPollutants(report, models);
+  checkHealthBurden(report, models);
+  checkWasteHeat(report, models);
+  checkNetwork(report, models);
+  checkEmissionsDrift(report, models);
+  checkDispersion(report, models);
+  checkTimeModifiers(report, models);
+
+  return report;
+}
+
+/**
+ * Validate the live models and throw a readable error listing every violation
+ */
+export function assertValidModels(overrides = {}) {
+  const report = validateModels(overrides);
+  report.warnings.forEach(entry => console.warn(`[Datasets] ${formatEntry(entry)}`));
+
+  if (!report.valid) {
+    const lines = report.errors.map(formatEntry);
+    lines.forEach(line => console.error(`[Datasets] ${line}`));
+    throw new Error(`Dataset validation failed with ${lines.length} error(s): ${lines.join('; ')}`);
+  }
+
+  return report;
+}
@@ -7,6 +7,9 @@
 import { GlobeVisualization } from '../visualization/globe.js';
 import { simulationEngine } from '../simulation/engine.js';
 import { CITIES, DATACENTERS, WORKLOADS } from '../data/models.js';
+import { loadDatasets } from '../data/loader.js';
+import { assertValidModels } from '../data/validator.js';
+import { formatSignificant, formatRange } from '../ui/format.js';
 import { SCENARIO_COMPONENTS } from './models.js';
 
 // BroadcastChannel for tablet ↔ screen communication
@@ -90,9 +93,9 @@ class ScreenController {
     });
   }
 
-  runVisualization({ city, workload, datacenter, hour }) {
+  runVisualization({ city, workload, datacenter, hour, month }) {
     // Configure & run simulation
-    simulationEngine.configure({ city, workload, datacenter, hour });
+    simulationEngine.configure({ city, workload, datacenter, hour, month });
 
     try {
       const results = simulationEngine.runSimulation();
@@ -111,9 +114,13 @@ class ScreenController {
 
       // Show impact metrics
       const impact = document.getElementById('screen-impact');
-      document.getElementById('screen-electricity').textContent = results.electricity.withOverhead.toFixed(3);
-      document.getElementById('screen-water').textContent = results.water.liters.toFixed(1);
-      document.getElementById('screen-emissions').textContent = results.emissions.grams.toFixed(0);
+      document.getElementById('screen-electricity').textContent = formatSignificant(results.electricity.withOverhead);
+      document.getElementById('screen-water').textContent = formatSignificant(results.water.liters);
+      document.getElementById('screen-emissions').textContent = formatSignificant(results.emissions.grams);
+      document.getElementById('screen-electricity-range').textContent = formatRange(results.electricity.range);
+      document.getElementById('screen-water-range').textContent = formatRange(results.water.range);
+      document.getElementById('screen-emissions-range').textContent = formatRange(results.emissions.range);
+      document.getElementById('screen-emissions-lifecycle').textContent = `lifecycle ${formatSignificant(results.lifecycle.grams)}`;
       document.getElementById('screen-distance').textContent = Math.round(results.distance).toLocaleString();
       document.getElementById('screen-narrative').textContent = results.narrative.trim();
       impact.classList.remove('hidden');
@@ -133,11 +140,11 @@ class ScreenController {
     }
   }
 
-  runScenarioVisualization({ city, workload, datacenter, hour, scenario }) {
+  runScenarioVisualization({ city, workload, datacenter, hour, month, scenario }) {
     try {
       // If we don't have original results, run original simulation first
       if (!this.currentResults) {
-        simulationEngine.configure({ city, workload, datacenter, hour });
+        simulationEngine.configure({ city, workload, datacenter, hour, month });
         this.currentResults = simulationEngine.runSimulation();
       }
 
@@ -203,5 +210,27 @@ class ScreenController {
   }
 }
 
-// Boot
-new ScreenController();
+/**
+ * Replace the idle overlay with the error, as the main app does — the
+ * simulation cannot run on data that failed to load or validate
+ */
+function showFatalError(error) {
+  const idle = document.querySelector('#screen-idle .idle-content');
+  if (idle) {
+    idle.innerHTML = `
+      <div class="idle-icon">⚠️</div>
+      <h1>INITIALIZATION ERROR</h1>
+      <p class="idle-subtitle">${error.message}</p>
+      <p class="idle-desc">Please refresh the page or check the console for details.</p>
+    `;
+  }
+}
+
+// Boot once datasets are merged so tablet and screen compute from the same data
+loadDatasets()
+  .then(() => assertValidModels())
+  .then(() => new ScreenController())
+  .catch(err => {
+    console.error('[Screen] Startup failed:', err);
+    showFatalError(err);
+  });
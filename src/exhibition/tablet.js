@@ -6,6 +6,9 @@
 
 import { simulationEngine } from '../simulation/engine.js';
 import { CITIES, DATACENTERS, WORKLOADS, ENERGY_REFERENCE } from '../data/models.js';
+import { loadDatasets } from '../data/loader.js';
+import { assertValidModels } from '../data/validator.js';
+import { formatSignificant } from '../ui/format.js';
 import { BUILDING_TYPES, NEIGHBORHOOD_POPULATION, SCENARIO_COMPONENTS } from './models.js';
 import { arduino } from './arduino.js';
 
@@ -24,6 +27,9 @@ class TabletController {
   }
 
   init() {
+    this.renderCityButtons();
+    this.renderWorkloadButtons();
+    this.renderDatacenterButtons();
     this.bindLanding();
     this.bindBodyScale();
     this.bindBodyResult();
@@ -57,6 +63,37 @@ class TabletController {
 
   // ─── STEP 1: Body Scale ───────────────────────────
 
+  /** Build the city buttons from CITIES (built-ins merged with datasets) */
+  renderCityButtons() {
+    const container = document.getElementById('city-options');
+    container.innerHTML = Object.values(CITIES).map(city => `
+      <button class="opt-btn" data-city="${city.id}">
+        <span class="opt-flag">${city.flag || '🏙️'}</span> ${city.name}
+      </button>
+    `).join('');
+  }
+
+  /** Build the datacenter buttons from DATACENTERS (built-ins merged with datasets) */
+  renderDatacenterButtons() {
+    const container = document.getElementById('dc-options');
+    container.innerHTML = Object.values(DATACENTERS).map(dc => `
+      <button class="opt-btn" data-dc="${dc.id}">
+        <span class="opt-detail">${(dc.tagline || dc.location).replace(' | ', ' / ')}</span>
+        ${dc.shortName || dc.name}
+      </button>
+    `).join('');
+  }
+
+  /** Build the workload buttons from WORKLOADS (built-ins merged with datasets) */
+  renderWorkloadButtons() {
+    const container = document.getElementById('workload-options');
+    container.innerHTML = Object.values(WORKLOADS).map(workload => `
+      <button class="opt-btn" data-workload="${workload.id}">
+        <span class="opt-icon">${workload.icon || '⚙️'}</span> ${workload.name}
+      </button>
+    `).join('');
+  }
+
   bindBodyScale() {
     const consumptionBtn = document.getElementById('btn-consumption');
 
@@ -119,7 +156,8 @@ class TabletController {
       city: this.selectedCity,
       workload: this.selectedWorkload,
       datacenter: this.selectedDatacenter,
-      hour: new Date().getHours()
+      hour: new Date().getHours(),
+      month: new Date().getMonth()
     });
 
     try {
@@ -139,8 +177,11 @@ class TabletController {
     const aptRef = ENERGY_REFERENCE.apartment[cityId] || ENERGY_REFERENCE.apartment.default;
     const totalKwh = results.electricity.withOverhead;
 
-    // Headline kWh
+    // Headline kWh, for the units the workload's energy formula counts
+    const units = results.electricity.units;
     document.getElementById('body-kwh').textContent = totalKwh.toFixed(4);
+    document.getElementById('body-kwh-unit').textContent =
+      `kWh consumed for ${units.count.toLocaleString()} ${units.count === 1 ? units.singular : units.plural}`;
 
     // Apartment equivalence
     const aptHours = totalKwh / aptRef.kWhPerHour;
@@ -328,7 +369,8 @@ class TabletController {
       city: this.selectedCity,
       workload: this.selectedWorkload,
       datacenter: this.selectedDatacenter,
-      hour: new Date().getHours()
+      hour: new Date().getHours(),
+      month: new Date().getMonth()
     });
 
     // Populate summary on tablet
@@ -343,8 +385,8 @@ class TabletController {
         <span class="planetary-stat-label">liters of water</span>
       </div>
       <div class="planetary-stat">
-        <span class="planetary-stat-value">${results.emissions.grams.toFixed(0)}</span>
-        <span class="planetary-stat-label">gCO₂ emitted</span>
+        <span class="planetary-stat-value">${formatSignificant(results.lifecycle.grams)}</span>
+        <span class="planetary-stat-label">gCO₂ lifecycle</span>
       </div>
       <div class="planetary-stat">
         <span class="planetary-stat-value">${Math.round(results.distance).toLocaleString()}</span>
@@ -489,12 +531,12 @@ class TabletController {
     const baseKwh = original.electricity.baseKwh;
     const newPue = dc.energy.pue * pueMultiplier;
     const withPue = baseKwh * newPue;
-    const withHeat = withPue * dc.climate.heatPenalty;
-    const hourMod = original.electricity.withOverhead / (original.electricity.baseKwh * dc.energy.pue * dc.climate.heatPenalty);
+    const withHeat = withPue * original.electricity.heatPenalty;
+    const hourMod = original.electricity.withOverhead / (original.electricity.baseKwh * dc.energy.pue * original.electricity.heatPenalty);
     const newKwh = withHeat * hourMod;
 
     // Modified carbon intensity (clamped to minimum 20)
-    const newCarbonIntensity = Math.max(20, dc.energy.carbonIntensity + carbonOffset);
+    const newCarbonIntensity = Math.max(20, original.emissions.baseCarbonIntensity + carbonOffset);
     const newCO2 = newKwh * newCarbonIntensity * (original.emissions.grams / (original.electricity.withOverhead * original.emissions.baseCarbonIntensity));
 
     // Modified water
@@ -647,11 +689,34 @@ class TabletController {
         workload: this.selectedWorkload,
         datacenter: this.selectedDatacenter,
         hour: new Date().getHours(),
+        month: new Date().getMonth(),
         scenario
       });
     });
   }
 }
 
-// Boot
-new TabletController();
+/**
+ * Replace the landing page with the error, as the main app does — the
+ * simulation cannot run on data that failed to load or validate
+ */
+function showFatalError(error) {
+  const landing = document.querySelector('#landing .landing-content');
+  if (landing) {
+    landing.innerHTML = `
+      <div class="landing-icon">⚠️</div>
+      <h1>INITIALIZATION ERROR</h1>
+      <p class="landing-subtitle">${error.message}</p>
+      <p class="landing-desc">Please refresh the page or check the console for details.</p>
+    `;
+  }
+}
+
+// Boot once datasets are merged so tablet and screen compute from the same data
+loadDatasets()
+  .then(() => assertValidModels())
+  .then(() => new TabletController())
+  .catch(err => {
+    console.error('[Tablet] Startup failed:', err);
+    showFatalError(err);
+  });
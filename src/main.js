@@ -7,11 +7,14 @@ import { GlobeVisualization } from './visualization/globe.js';
 import { UIController } from './ui/controller.js';
 import { simulationEngine } from './simulation/engine.js';
 import { CITIES, DATACENTERS, WORKLOADS } from './data/models.js';
+import { loadDatasets } from './data/loader.js';
+import { assertValidModels } from './data/validator.js';
 
 class GhostNetworkApp {
   constructor() {
     this.globe = null;
     this.ui = null;
+    this.datasets = [];
     this.isInitialized = false;
   }
 
@@ -23,6 +26,14 @@ class GhostNetworkApp {
       // Wait for DOM
       await this.waitForDOM();
 
+      // Merge JSON datasets over the built-in models before anything reads them
+      this.datasets = await loadDatasets();
+      console.log(`✓ ${this.datasets.length} dataset(s) merged`);
+
+      // Refuse to start on broken data rather than render NaN
+      assertValidModels();
+      console.log('✓ Dataset validation passed');
+
       // Initialize globe visualization
       const container = document.getElementById('globe-container');
       this.globe = new GlobeVisualization(container);
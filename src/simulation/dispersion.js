@@ -0,0 +1,186 @@
+/**
+ * GHOST NETWORK - Emissions Dispersion
+ * Simplified drift of a datacenter's emissions on the prevailing wind
+ */
+
+import { DISPERSION } from '../data/models.js';
+
+const EARTH_RADIUS_KM = 6371;
+const COMPASS_POINTS = [
+  'north', 'north-northeast', 'northeast', 'east-northeast',
+  'east', 'east-southeast', 'southeast', 'south-southeast',
+  'south', 'south-southwest', 'southwest', 'west-southwest',
+  'west', 'west-northwest', 'northwest', 'north-northwest'
+];
+
+const toRad = (deg) => deg * (Math.PI / 180);
+const toDeg = (rad) => rad * (180 / Math.PI);
+
+/**
+ * Point reached by travelling distanceKm from origin on an initial bearing
+ */
+function destinationPoint(origin, bearingDeg, distanceKm) {
+  const angular = distanceKm / EARTH_RADIUS_KM;
+  const bearing = toRad(bearingDeg);
+  const lat1 = toRad(origin.lat);
+  const lng1 = toRad(origin.lng);
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return { lat: toDeg(lat2), lng: ((toDeg(lng2) + 540) % 360) - 180 };
+}
+
+/**
+ * Initial bearing (0–360°, clockwise from north) from one point to another
+ */
+function bearingBetween(from, to) {
+  const lat1 = toRad(from.lat);
+  const lat2 = toRad(to.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+function distanceBetween(from, to) {
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/** Smallest angle between two bearings, 0–180° */
+function angleBetween(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/** 16-point compass name for a bearing, e.g. "west-northwest" */
+export function compassDirection(bearingDeg) {
+  return COMPASS_POINTS[Math.round(((bearingDeg % 360) + 360) % 360 / 22.5) % 16];
+}
+
+/**
+ * Prevailing wind at a latitude: the band's entry for the month, or the
+ * vector mean of all twelve when month is null
+ */
+export function windAt(lat, month = null) {
+  const band = DISPERSION.windBands.find(b => lat >= b.minLat && lat < b.maxLat)
+    || DISPERSION.windBands[DISPERSION.windBands.length - 1];
+  const months = month === null ? band.towardDeg.map((_, i) => i) : [month];
+
+  let east = 0;
+  let north = 0;
+  for (const m of months) {
+    east += band.speedKmh[m] * Math.sin(toRad(band.towardDeg[m]));
+    north += band.speedKmh[m] * Math.cos(toRad(band.towardDeg[m]));
+  }
+  east /= months.length;
+  north /= months.length;
+
+  return {
+    towardDeg: (toDeg(Math.atan2(east, north)) + 360) % 360,
+    speedKmh: Math.hypot(east, north)
+  };
+}
+
+/**
+ * Follow the prevailing wind from origin in steps of DISPERSION.stepHours,
+ * re-reading the wind each time the trajectory crosses into a new band
+ */
+export function traceTrajectory(origin, month = null) {
+  const points = [{ ...origin }];
+  let distanceKm = 0;
+
+  for (let hour = 0; hour < DISPERSION.hours; hour += DISPERSION.stepHours) {
+    const here = points[points.length - 1];
+    const wind = windAt(here.lat, month);
+    const stepKm = wind.speedKmh * DISPERSION.stepHours;
+    points.push(destinationPoint(here, wind.towardDeg, stepKm));
+    distanceKm += stepKm;
+  }
+
+  return { points, distanceKm };
+}
+
+/**
+ * Plume half-width (km) after drifting distanceKm — a Gaussian plume's
+ * spread grows roughly linearly with downwind distance
+ */
+function plumeHalfWidth(distanceKm) {
+  return DISPERSION.plume.baseHalfWidthKm + DISPERSION.plume.spreadPerKm * distanceKm;
+}
+
+/**
+ * Fading plume polygons around a trajectory: one quad per step, widening and
+ * thinning with distance. Rings are [lng, lat] pairs, closed.
+ */
+export function buildPlume(points) {
+  const slices = [];
+  let travelled = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const bearing = bearingBetween(start, end);
+    const stepKm = distanceBetween(start, end);
+
+    const startWidth = plumeHalfWidth(travelled);
+    const endWidth = plumeHalfWidth(travelled + stepKm);
+    travelled += stepKm;
+
+    const corners = [
+      destinationPoint(start, bearing - 90, startWidth),
+      destinationPoint(end, bearing - 90, endWidth),
+      destinationPoint(end, bearing + 90, endWidth),
+      destinationPoint(start, bearing + 90, startWidth)
+    ];
+    const ring = corners.map(p => [p.lng, p.lat]);
+    ring.push(ring[0]);
+
+    slices.push({
+      step: i,
+      coordinates: [ring],
+      opacity: DISPERSION.plume.maxOpacity * (1 - i / (points.length - 1))
+    });
+  }
+
+  return slices;
+}
+
+/**
+ * Drift of a site's emissions for a month: the trajectory, its plume, and
+ * which of the named downwind regions it reaches. A region is reached when it
+ * lies within reachAngleDeg of the drift bearing and no further than the
+ * plume travels. When the wind blows away from all of them, none is reached
+ and destinations is empty.
+ */
+export function simulateDrift(origin, month, regions = []) {
+  const { points, distanceKm } = traceTrajectory(origin, month);
+  const end = points[points.length - 1];
+  const bearing = bearingBetween(origin, end);
+  const reachKm = distanceKm + plumeHalfWidth(distanceKm);
+
+  const candidates = regions.map(region => ({
+    region,
+    offBearing: angleBetween(bearingBetween(origin, region.coords), bearing),
+    distanceKm: distanceBetween(origin, region.coords)
+  }));
+  const reached = candidates.filter(c => c.offBearing <= DISPERSION.reachAngleDeg && c.distanceKm <= reachKm);
+
+  return {
+    direction: compassDirection(bearing),
+    bearing,
+    driftDistanceKm: Math.round(distanceKm),
+    hours: DISPERSION.hours,
+    trajectory: points,
+    plume: buildPlume(points),
+    destinations: reached
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .map(c => ({ ...c.region, distanceKm: Math.round(c.distanceKm) }))
+  };
+}
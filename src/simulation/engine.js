@@ -3,24 +3,204 @@
  * Calculates environmental externalities for AI workloads
  */
 
-import { CITIES, DATACENTERS, WORKLOADS, MATERIALS, EWASTE, EMISSIONS_DRIFT, TIME_MODIFIERS, NARRATIVES, INTERIOR_SCALE, BUILDING_SCALE } from '../data/models.js';
+import { CITIES, DATACENTERS, WORKLOADS, MATERIALS, EWASTE, EMISSIONS_DRIFT, TIME_MODIFIERS, NARRATIVES, INTERIOR_SCALE, BUILDING_SCALE, LAND_USE, INFERENCE, NETWORK, ADOPTION, GENERATION_WATER, WATER_SCARCITY, AIR_POLLUTANTS, WASTE_HEAT, SOURCE_TYPE_ALIASES } from '../data/models.js';
+import { estimateWorkloadInference } from './inference.js';
+import { estimateHealthBurden } from './health.js';
+import { simulateDrift } from './dispersion.js';
+
+// Result metrics reported by runSensitivity(), keyed to getImpactModel() outputs
+const SENSITIVITY_METRICS = {
+  electricity: { field: 'kwh', unit: 'kWh' },
+  water: { field: 'liters', unit: 'L' },
+  emissions: { field: 'grams', unit: 'gCO₂' }
+};
+
+const SENSITIVITY_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Objectives of exploreTradeoffs(), all minimized
+const TRADEOFF_AXES = [
+  { key: 'water', label: 'Water', unit: 'L' },
+  { key: 'emissions', label: 'CO₂', unit: 'g' },
+  { key: 'distance', label: 'Distance', unit: 'km' }
+];
+
+// How grid electricity is charged: the average mix, or the plant that ramps up for new load
+const EMISSIONS_FACTORS = ['average', 'marginal'];
+
+const HOURS_OF_DAY = Array.from({ length: 24 }, (_, hour) => hour);
+const HOURS_PER_YEAR = 8760;
+
+// Result sections averaged by routing weight when a workload is split across sites
+const BLENDED_SECTIONS = ['distance', 'electricity', 'water', 'emissions', 'airPollution', 'health', 'heat', 'materials', 'landUse', 'transport', 'lifecycle', 'annual', 'scaleBreakdown', 'narrativeData'];
+
+/**
+ * Inverse-CDF sample of a triangular distribution from a uniform draw u in [0, 1)
+ */
+function sampleTriangular(low, mode, high, u) {
+  if (high <= low) return mode;
+  const split = (mode - low) / (high - low);
+  return u < split
+    ? low + Math.sqrt(u * (high - low) * (mode - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+/**
+ * Weighted sum of the numeric leaves of several same-shaped results (weights
+ * sum to 1). Coordinates, strings and arrays are taken from the first value.
+ */
+function blendWeighted(values, weights) {
+  const sample = values.find(value => value !== undefined && value !== null);
+
+  if (typeof sample === 'number') {
+    return values.reduce((sum, value, i) => sum + (typeof value === 'number' ? value : 0) * weights[i], 0);
+  }
+  if (sample === null || typeof sample !== 'object' || Array.isArray(sample)) {
+    return values[0] ?? sample;
+  }
+
+  const keys = new Set(values.flatMap(value => (value ? Object.keys(value) : [])));
+  const blended = {};
+  for (const key of keys) {
+    blended[key] = /coords$/i.test(key)
+      ? (values[0]?.[key] ?? sample[key])
+      : blendWeighted(values.map(value => value?.[key]), weights);
+  }
+  return blended;
+}
+
+/**
+ * Flag each point that no other point beats on every axis (lower is better).
+ * A point is dominated when another is no worse on all axes and strictly
+ * better on at least one.
+ */
+function markParetoFrontier(points, keys) {
+  for (const point of points) {
+    point.pareto = !points.some(other =>
+      other !== point &&
+      keys.every(key => other[key] <= point[key]) &&
+      keys.some(key => other[key] < point[key])
+    );
+  }
+  return points;
+}
+
+/**
+ * Linear-interpolated percentiles of an unsorted sample, keyed p5, p50, ...
+ */
+function percentiles(values, ranks) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+  for (const rank of ranks) {
+    const pos = (rank / 100) * (sorted.length - 1);
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    result[`p${rank}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+  }
+  return result;
+}
+
+/**
+ * Multiply every value of a { pollutant: grams } map
+ */
+function scalePollutants(grams, factor) {
+  return Object.fromEntries(Object.entries(grams).map(([pollutant, value]) => [pollutant, value * factor]));
+}
+
+/**
+ * Liters to two significant figures, for flow labels
+ */
+function formatLiters(liters) {
+  return `${Number(liters.toPrecision(2)).toLocaleString('en-US')} L`;
+}
+
+/**
+ * Energy to two significant figures, for flow labels — in Wh below 1 kWh,
+ * where a session's heat usually falls
+ */
+function formatKwh(kwh) {
+  return kwh < 1
+    ? `${Number((kwh * 1000).toPrecision(2)).toLocaleString('en-US')} Wh`
+    : `${Number(kwh.toPrecision(2)).toLocaleString('en-US')} kWh`;
+}
 
 export class SimulationEngine {
   constructor() {
     this.currentCity = null;
     this.currentWorkload = null;
-    this.currentDatacenter = null;
+    this.currentDatacenter = null; // The most heavily weighted site when routing is split
+    this.routing = []; // [{ datacenter, weight }], weights summing to 1
     this.currentHour = 14;
+    this.currentMonth = null; // 0–11, null = annual average
+    this.adoption = {}; // Overrides of the workload's adoption assumptions
+    this.emissionsFactor = 'average'; // One of EMISSIONS_FACTORS
+    this.heatReuse = false; // Send recoverable heat to the site's district-heating scheme
   }
 
   /**
-   * Set simulation parameters
+   * Set simulation parameters. `workload` is a WORKLOADS id, or a workload
+   * object such as one from buildCustomWorkload(). `datacenter` is a
+   * DATACENTERS id, or routing weights such as { ireland: 0.6, finland: 0.4 }.
+   * `adoption` overrides { adoptionRate, sessionsPerUserPerDay }; null
+   * returns to the workload's own assumptions. `emissionsFactor` is
+   * 'average' (the grid mix) or 'marginal' (the plant that meets new load).
+   * `heatReuse` sends recoverable heat to district heating at sites with a
+   * scheme.
    */
-  configure({ city, workload, datacenter, hour }) {
+  configure({ city, workload, datacenter, hour, month, adoption, emissionsFactor, heatReuse }) {
+    if (emissionsFactor !== undefined && !EMISSIONS_FACTORS.includes(emissionsFactor)) {
+      throw new Error(`Unknown emissions factor "${emissionsFactor}" (expected one of ${EMISSIONS_FACTORS.join(', ')})`);
+    }
     if (city) this.currentCity = CITIES[city];
-    if (workload) this.currentWorkload = WORKLOADS[workload];
-    if (datacenter) this.currentDatacenter = DATACENTERS[datacenter];
+    if (workload) this.currentWorkload = typeof workload === 'string' ? WORKLOADS[workload] : workload;
+    if (datacenter) this.setRouting(datacenter);
     if (hour !== undefined) this.currentHour = hour;
+    if (month !== undefined) this.currentMonth = month;
+    if (adoption !== undefined) this.adoption = { ...adoption };
+    if (emissionsFactor !== undefined) this.emissionsFactor = emissionsFactor;
+    if (heatReuse !== undefined) this.heatReuse = Boolean(heatReuse);
+  }
+
+  /**
+   * Route the workload to one datacenter id, or split it by weight across
+   * several. Weights are normalized to sum to 1; zero weights are dropped.
+   */
+  setRouting(datacenter) {
+    if (typeof datacenter === 'string') {
+      this.currentDatacenter = DATACENTERS[datacenter];
+      this.routing = this.currentDatacenter ? [{ datacenter: this.currentDatacenter, weight: 1 }] : [];
+      return;
+    }
+
+    const entries = Object.entries(datacenter).filter(([, weight]) => weight > 0);
+    for (const [id, weight] of entries) {
+      if (!DATACENTERS[id]) throw new Error(`Unknown datacenter "${id}"`);
+      if (!Number.isFinite(weight)) throw new Error(`Routing weight for "${id}" must be a number`);
+    }
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total <= 0) {
+      throw new Error('Routing needs at least one datacenter with a positive weight');
+    }
+
+    this.routing = entries
+      .map(([id, weight]) => ({ datacenter: DATACENTERS[id], weight: weight / total }))
+      .sort((a, b) => b.weight - a.weight);
+    this.currentDatacenter = this.routing[0].datacenter;
+  }
+
+  /**
+   * Run fn with the whole workload routed to one datacenter, then restore
+   * the configured routing
+   */
+  withSite(datacenter, fn) {
+    const { currentDatacenter, routing } = this;
+    this.currentDatacenter = datacenter;
+    this.routing = [{ datacenter, weight: 1 }];
+    try {
+      return fn();
+    } finally {
+      this.currentDatacenter = currentDatacenter;
+      this.routing = routing;
+    }
   }
 
   /**
@@ -43,6 +223,212 @@ export class SimulationEngine {
     return deg * (Math.PI / 180);
   }
 
+  /**
+   * Hourly curve for the current datacenter — its own profile if it has one,
+   * otherwise the global TIME_MODIFIERS curve
+   */
+  getHourlyProfile(name) {
+    const siteCurve = this.currentDatacenter?.hourly?.[name];
+    return siteCurve
+      ? { curve: siteCurve, source: 'site' }
+      : { curve: TIME_MODIFIERS[name], source: 'global' };
+  }
+
+  /**
+   * Climate and grid conditions for the current month. With no month set,
+   * or no monthly table for the site, the annual figures are used.
+   */
+  getSeasonalConditions() {
+    const dc = this.currentDatacenter;
+    const monthly = dc.climate.monthly;
+    const month = this.currentMonth;
+
+    if (month === null || month === undefined || !monthly) {
+      return {
+        month: null,
+        source: 'annual',
+        avgTemp: dc.climate.avgTemp,
+        heatPenalty: dc.climate.heatPenalty,
+        wue: dc.water.wue,
+        wueScale: 1,
+        gridMix: dc.energy.gridMix,
+        carbonIntensity: dc.energy.carbonIntensity,
+        carbonScale: 1
+      };
+    }
+
+    const pick = (table, fallback) => (table && table[month] !== undefined ? table[month] : fallback);
+    const baseMix = dc.energy.gridMix;
+    const solar = pick(monthly.solarShare, baseMix.solar || 0);
+    const wind = pick(monthly.windShare, baseMix.wind || 0);
+    const gridMix = this.adjustGridMix(baseMix, solar, wind);
+
+    // Solar and wind are near-zero carbon, so intensity scales with the rest of the mix
+    const baseRest = 1 - (baseMix.solar || 0) - (baseMix.wind || 0);
+    const monthRest = 1 - solar - wind;
+    const carbonScale = baseRest > 0 ? monthRest / baseRest : 1;
+    const wueScale = pick(monthly.wueMultiplier, 1);
+
+    return {
+      month,
+      source: 'monthly',
+      avgTemp: pick(monthly.avgTemp, dc.climate.avgTemp),
+      heatPenalty: pick(monthly.heatPenalty, dc.climate.heatPenalty),
+      wue: dc.water.wue * wueScale,
+      wueScale,
+      gridMix,
+      carbonIntensity: dc.energy.carbonIntensity * carbonScale,
+      carbonScale
+    };
+  }
+
+  /**
+   * Replace the solar and wind shares of a grid mix, rescaling the other
+   * sources so the mix still sums to 1
+   */
+  adjustGridMix(gridMix, solar, wind) {
+    const rest = Object.entries(gridMix).filter(([type]) => type !== 'solar' && type !== 'wind');
+    const restTotal = rest.reduce((sum, [, share]) => sum + share, 0);
+    const scale = restTotal > 0 ? (1 - solar - wind) / restTotal : 0;
+
+    const mix = {};
+    for (const [type, share] of rest) {
+      mix[type] = share * scale;
+    }
+    if (solar > 0) mix.solar = solar;
+    if (wind > 0) mix.wind = wind;
+    return mix;
+  }
+
+  /**
+   * Carbon intensity the current site is charged under one emissions factor,
+   * before the hourly curve. Marginal plants do not follow the seasonal
+   * renewable share, so only the average factor takes carbonScale. Sites
+   * without a marginal figure fall back to the average one.
+   */
+  getCarbonFactor(factor = this.emissionsFactor) {
+    const dc = this.currentDatacenter;
+    if (factor === 'marginal' && dc.energy.marginalCarbonIntensity !== undefined) {
+      return {
+        key: 'marginalCarbonIntensity',
+        label: 'Marginal carbon intensity',
+        intensity: dc.energy.marginalCarbonIntensity,
+        carbonScale: 1,
+        profile: this.getHourlyProfile('marginalCarbonIntensityByHour')
+      };
+    }
+    const seasonal = this.getSeasonalConditions();
+    return {
+      key: 'carbonIntensity',
+      label: 'Grid carbon intensity',
+      intensity: dc.energy.carbonIntensity,
+      carbonScale: seasonal.carbonScale,
+      profile: this.getHourlyProfile('carbonIntensityByHour')
+    };
+  }
+
+  /**
+   * Low / central / high values for an uncertain parameter. Bounds come from
+   * the entity's `uncertainty` block; without one the range collapses to the
+   * central value.
+   */
+  getBounds(entity, key, central) {
+    const bounds = entity.uncertainty?.[key];
+    return {
+      low: bounds?.low ?? central,
+      central,
+      high: bounds?.high ?? central
+    };
+  }
+
+  /**
+   * Billable units in one session and the per-unit energy rate (with bounds)
+   * they use, from the workload's declarative `energy` formula. Token-model
+   * formulas derive the rate from INFERENCE instead of a perSession value.
+   */
+  getEnergyUnits(workload) {
+    const formula = workload.energy;
+    if (!formula) {
+      return { units: 0, rate: { low: 0, central: 0, high: 0 }, inference: null, unit: 'session', unitPlural: 'sessions' };
+    }
+
+    let rate;
+    let inference = null;
+    if (formula.model === 'tokens') {
+      inference = estimateWorkloadInference(workload);
+      rate = {
+        low: inference.kwhPerQuery * INFERENCE.uncertainty.low,
+        central: inference.kwhPerQuery,
+        high: inference.kwhPerQuery * INFERENCE.uncertainty.high
+      };
+    } else {
+      rate = this.getBounds(workload, formula.rate, workload.perSession[formula.rate] || 0);
+    }
+
+    return {
+      units: (workload.perSession[formula.count] || 0) / (formula.countDivisor || 1),
+      rate,
+      inference,
+      unit: formula.unit,
+      unitPlural: formula.unitPlural || `${formula.unit}s`
+    };
+  }
+
+  /**
+   * The uncertain inputs of the current configuration, and a function that
+   * turns one set of their values into per-session impacts. Site, hour and
+   * month stay fixed.
+   */
+  getImpactModel() {
+    const workload = this.currentWorkload;
+    const { units, rate, unit } = this.getEnergyUnits(workload);
+    const parameters = [{ key: 'energyRate', label: `Energy per ${unit}`, ...rate }];
+
+    // Site parameters are keyed per datacenter when the workload is split
+    const split = this.routing.length > 1;
+    const sites = this.routing.map(({ datacenter: dc, weight }) => this.withSite(dc, () => {
+      const suffix = split ? `.${dc.id}` : '';
+      const labelSuffix = split ? ` (${dc.name})` : '';
+      parameters.push(
+        { key: `pue${suffix}`, label: `PUE${labelSuffix}`, ...this.getBounds(dc, 'pue', dc.energy.pue) },
+        { key: `wue${suffix}`, label: `WUE${labelSuffix}`, ...this.getBounds(dc, 'wue', dc.water.wue) }
+      );
+      const carbon = this.getCarbonFactor();
+      parameters.push(
+        { key: `carbonIntensity${suffix}`, label: `${carbon.label}${labelSuffix}`, ...this.getBounds(dc, carbon.key, carbon.intensity) }
+      );
+      const seasonal = this.getSeasonalConditions();
+      return {
+        weight,
+        suffix,
+        seasonal,
+        consumptionShare: dc.water.consumptionShare ?? 1,
+        offsiteLitersPerKwh: this.getGenerationWaterIntensity(seasonal.gridMix),
+        demandHour: this.getHourlyProfile('demandByHour').curve[this.currentHour],
+        waterHour: this.getHourlyProfile('waterUsageByHour').curve[this.currentHour],
+        carbonScale: carbon.carbonScale,
+        carbonHour: carbon.profile.curve[this.currentHour]
+      };
+    }));
+
+    const evaluate = (values) => {
+      const impacts = { kwh: 0, liters: 0, grams: 0 };
+      for (const { weight, suffix, seasonal, consumptionShare, offsiteLitersPerKwh, demandHour, waterHour, carbonScale, carbonHour } of sites) {
+        const kwh = weight * units * values.energyRate * values[`pue${suffix}`] * seasonal.heatPenalty * demandHour;
+        impacts.kwh += kwh;
+        // Liters consumed: the evaporated share of on-site withdrawal plus power plant consumption
+        impacts.liters += kwh * (values[`wue${suffix}`] * seasonal.wueScale * waterHour * consumptionShare + offsiteLitersPerKwh);
+        impacts.grams += kwh * values[`carbonIntensity${suffix}`] * carbonScale * carbonHour;
+      }
+      return impacts;
+    };
+
+    // Every parameter at the same bound ('low' | 'central' | 'high')
+    const valuesAt = (bound) => Object.fromEntries(parameters.map(p => [p.key, p[bound]]));
+
+    return { parameters, evaluate, valuesAt };
+  }
+
   /**
    * Calculate electricity consumption
    */
@@ -51,42 +437,41 @@ export class SimulationEngine {
 
     const workload = this.currentWorkload;
     const dc = this.currentDatacenter;
-    const hourModifier = TIME_MODIFIERS.demandByHour[this.currentHour];
+    const seasonal = this.getSeasonalConditions();
+    const demandProfile = this.getHourlyProfile('demandByHour');
+    const hourModifier = demandProfile.curve[this.currentHour];
 
-    let baseKwh = 0;
-
-    switch (workload.id) {
-      case 'chatbot':
-        baseKwh = workload.perSession.queries * workload.perSession.kwhPerQuery;
-        break;
-      case 'image':
-        baseKwh = workload.perSession.images * workload.perSession.kwhPerImage;
-        break;
-      case 'traffic':
-        baseKwh = workload.perSession.kwhPerHour;
-        break;
-      case 'biometric':
-        baseKwh = workload.perSession.kwhPerHour;
-        break;
-    }
+    const energyUnits = this.getEnergyUnits(workload);
+    const baseKwh = energyUnits.units * energyUnits.rate.central;
 
     // Apply PUE (Power Usage Effectiveness) - includes cooling overhead
     const withPue = baseKwh * dc.energy.pue;
     
-    // Apply heat penalty (more energy needed in hot climates)
-    const withHeat = withPue * dc.climate.heatPenalty;
+    // Apply heat penalty (more energy needed in hot climates and months)
+    const withHeat = withPue * seasonal.heatPenalty;
     
     // Apply time-of-day modifier
     const final = withHeat * hourModifier;
 
+    // Same chain with every parameter at its low / high bound
+    const model = this.getImpactModel();
+    const bounded = (bound) => model.evaluate(model.valuesAt(bound)).kwh;
+
     return {
       baseKwh,
       withOverhead: final,
+      units: { count: energyUnits.units, singular: energyUnits.unit, plural: energyUnits.unitPlural },
+      // Prefill / decode split per query, for token-model workloads
+      inference: energyUnits.inference,
+      range: { low: bounded('low'), central: final, high: bounded('high') },
       pue: dc.energy.pue,
-      heatPenalty: dc.climate.heatPenalty,
-      gridMix: dc.energy.gridMix,
-      fossilPercent: this.calculateFossilPercent(dc.energy.gridMix),
-      sources: dc.energy.sources
+      heatPenalty: seasonal.heatPenalty,
+      hourModifier,
+      hourlyProfile: demandProfile.source,
+      gridMix: seasonal.gridMix,
+      fossilPercent: this.calculateFossilPercent(seasonal.gridMix),
+      // Typed by grid mix key, so plants match their water and pollutant factors
+      sources: dc.energy.sources.map(source => ({ ...source, type: SOURCE_TYPE_ALIASES[source.type] ?? source.type }))
     };
   }
 
@@ -107,7 +492,33 @@ export class SimulationEngine {
   }
 
   /**
-   * Calculate water consumption
+   * Liters per kWh at power plants for a grid mix ('consumption' | 'withdrawal')
+   */
+  getGenerationWaterIntensity(gridMix, use = 'consumption') {
+    const table = GENERATION_WATER[`${use}LitersPerKwh`];
+    let litersPerKwh = 0;
+    for (const [type, share] of Object.entries(gridMix)) {
+      litersPerKwh += share * (table[type] ?? table.other);
+    }
+    return litersPerKwh;
+  }
+
+  /**
+   * AWARE-style scarcity factor for a datacenter's basin: its own
+   * `water.awareFactor` if set, otherwise the default for its stress level
+   */
+  getScarcityFactor(dc = this.currentDatacenter) {
+    if (dc.water.awareFactor !== undefined) {
+      return { factor: dc.water.awareFactor, basis: 'basin' };
+    }
+    return { factor: WATER_SCARCITY.factorsByStressLevel[dc.water.stressLevel], basis: 'stressLevel' };
+  }
+
+  /**
+   * Calculate water use on-site (cooling, kWh × WUE) and off-site (the power
+   * plants supplying the site). Withdrawal is everything taken from a source,
+   * consumption the share that evaporates, and discharge the rest, returned
+   * warmer. The headline liters figure is consumption.
    */
   calculateWater() {
     if (!this.currentDatacenter || !this.currentWorkload) return null;
@@ -117,20 +528,76 @@ export class SimulationEngine {
     
     if (!electricity) return null;
     
-    const hourModifier = TIME_MODIFIERS.waterUsageByHour[this.currentHour];
+    const seasonal = this.getSeasonalConditions();
+    const waterProfile = this.getHourlyProfile('waterUsageByHour');
+    const hourModifier = waterProfile.curve[this.currentHour];
+
+    // On-site withdrawal = kWh * WUE (seasonally adjusted) * time modifier,
+    // plus any once-through seawater, which is all returned
+    const consumptionShare = dc.water.consumptionShare ?? 1;
+    const seawaterLiters = electricity.withOverhead * (dc.water.seawaterLitersPerKwh || 0);
+    const onsiteWithdrawal = electricity.withOverhead * seasonal.wue * hourModifier + seawaterLiters;
+    const onsiteConsumption = (onsiteWithdrawal - seawaterLiters) * consumptionShare;
+
+    // Scope 2: each generation type's water intensities, weighted by its grid share
+    const bySource = {};
+    let offsiteWithdrawal = 0;
+    let offsiteConsumption = 0;
+    for (const [type, share] of Object.entries(seasonal.gridMix)) {
+      const kwh = electricity.withOverhead * share;
+      const withdrawal = kwh * (GENERATION_WATER.withdrawalLitersPerKwh[type] ?? GENERATION_WATER.withdrawalLitersPerKwh.other);
+      const consumption = kwh * (GENERATION_WATER.consumptionLitersPerKwh[type] ?? GENERATION_WATER.consumptionLitersPerKwh.other);
+      bySource[type] = { withdrawal, consumption, discharge: Math.max(withdrawal - consumption, 0) };
+      offsiteWithdrawal += withdrawal;
+      offsiteConsumption += consumption;
+    }
+
+    const liters = onsiteConsumption + offsiteConsumption;
+    const dischargeOnsite = onsiteWithdrawal - onsiteConsumption;
+    const dischargeOffsite = Math.max(offsiteWithdrawal - offsiteConsumption, 0);
+
+    const model = this.getImpactModel();
+    const bounded = (bound) => model.evaluate(model.valuesAt(bound)).liters;
+    const range = { low: bounded('low'), central: liters, high: bounded('high') };
 
-    // Water usage = kWh * WUE * time modifier
-    const baseLiters = electricity.withOverhead * dc.water.wue;
-    const withTimeModifier = baseLiters * hourModifier;
+    // The power plants mostly share the datacenter's region, so off-site
+    // consumption is weighted by the same basin factor
+    const scarcity = this.getScarcityFactor(dc);
 
     return {
-      liters: withTimeModifier,
-      wue: dc.water.wue,
+      liters,
+      range,
+      scarcity: {
+        liters: liters * scarcity.factor,
+        range: Object.fromEntries(Object.entries(range).map(([bound, value]) => [bound, value * scarcity.factor])),
+        factor: scarcity.factor,
+        basis: scarcity.basis
+      },
+      withdrawal: {
+        liters: onsiteWithdrawal + offsiteWithdrawal,
+        onsite: onsiteWithdrawal,
+        offsite: offsiteWithdrawal,
+        seawater: seawaterLiters
+      },
+      consumption: { liters, onsite: onsiteConsumption, offsite: offsiteConsumption },
+      discharge: {
+        liters: dischargeOnsite + dischargeOffsite,
+        onsite: dischargeOnsite,
+        offsite: dischargeOffsite
+      },
+      offsite: {
+        litersPerKwh: this.getGenerationWaterIntensity(seasonal.gridMix),
+        withdrawalLitersPerKwh: this.getGenerationWaterIntensity(seasonal.gridMix, 'withdrawal'),
+        bySource
+      },
+      consumptionShare,
+      wue: seasonal.wue,
       source: dc.water.source,
       sourceCoords: dc.water.sourceCoords,
       stressLevel: dc.water.stressLevel,
       aquiferDepletion: dc.water.aquiferDepletion,
       hourModifier,
+      hourlyProfile: waterProfile.source,
       litersPerSecond: dc.water.annualWithdrawal / (365 * 24 * 3600)
     };
   }
@@ -143,45 +610,390 @@ export class SimulationEngine {
 
     const dc = this.currentDatacenter;
     const electricity = this.calculateElectricity();
-    const hourModifier = TIME_MODIFIERS.carbonIntensityByHour[this.currentHour];
 
-    // Base carbon intensity adjusted for time of day
-    const adjustedIntensity = dc.energy.carbonIntensity * hourModifier;
-    
-    // gCO2 = kWh * gCO2/kWh
-    const grams = electricity.withOverhead * adjustedIntensity;
-    
-    // Annual estimate (extrapolate from session)
-    const sessionsPerYear = 365 * 24 * 4; // Rough estimate
-    const annualTons = (grams * sessionsPerYear) / 1000000;
+    // Carbon intensity under each factor, adjusted for month and time of day.
+    // gCO2 = kWh * gCO2/kWh. Average is the location-based figure (the
+    // physical grid mix); marginal charges the plant that ramps up for the load.
+    const byFactor = {};
+    for (const factor of EMISSIONS_FACTORS) {
+      const carbon = this.getCarbonFactor(factor);
+      const baseCarbonIntensity = carbon.intensity * carbon.carbonScale;
+      const hourModifier = carbon.profile.curve[this.currentHour];
+      byFactor[factor] = {
+        grams: electricity.withOverhead * baseCarbonIntensity * hourModifier,
+        carbonIntensity: baseCarbonIntensity * hourModifier,
+        baseCarbonIntensity,
+        hourModifier,
+        hourlyProfile: carbon.profile.source
+      };
+    }
+    const { grams, carbonIntensity, baseCarbonIntensity, hourModifier, hourlyProfile } = byFactor[this.emissionsFactor];
+
+    const model = this.getImpactModel();
+    const bounded = (bound) => model.evaluate(model.valuesAt(bound)).grams;
+
+    const marketBased = this.calculateMarketBasedEmissions(electricity, byFactor.average.carbonIntensity);
+    // The claim is measured against the location-based (average) figure, whichever factor is selected
+    const locationGrams = byFactor.average.grams;
+    const deltaGrams = locationGrams - marketBased.grams;
+    const understatedGrams = byFactor.marginal.grams - byFactor.average.grams;
 
     return {
       grams,
-      carbonIntensity: adjustedIntensity,
-      baseCarbonIntensity: dc.energy.carbonIntensity,
-      drift: EMISSIONS_DRIFT[dc.id],
-      annualTonsCO2: annualTons
+      range: { low: bounded('low'), central: grams, high: bounded('high') },
+      factor: this.emissionsFactor,
+      byFactor,
+      // How much charging new load at the average mix understates its marginal impact
+      averageUnderstatement: {
+        grams: understatedGrams,
+        share: byFactor.marginal.grams > 0 ? understatedGrams / byFactor.marginal.grams : 0
+      },
+      marketBased,
+      // What the operator's claim hides: location-based minus market-based
+      greenwashingDelta: { grams: deltaGrams, share: locationGrams > 0 ? deltaGrams / locationGrams : 0 },
+      carbonIntensity,
+      baseCarbonIntensity,
+      hourModifier,
+      hourlyProfile,
+      // Where this month's prevailing wind carries it, out of the site's named regions
+      drift: simulateDrift(dc.coords, this.currentMonth, EMISSIONS_DRIFT[dc.id]?.destinations)
+    };
+  }
+
+  /**
+   * Local air pollutants (NOx, SO₂, PM2.5) from the combustion share of the
+   * grid mix. Each type's grams are split evenly across the site's named
+   * plants of that type; types with no named plant stay unattributed.
+   */
+  calculateAirPollution(electricity) {
+    const pollutants = Object.keys(AIR_POLLUTANTS.labels);
+    const none = () => Object.fromEntries(pollutants.map(pollutant => [pollutant, 0]));
+    const grams = none();
+    const unattributed = none();
+    const byType = {};
+    const plants = [];
+
+    for (const [type, share] of Object.entries(electricity.gridMix)) {
+      const factors = AIR_POLLUTANTS.gramsPerKwh[type];
+      if (!factors) continue;
+
+      const kwh = electricity.withOverhead * share;
+      byType[type] = Object.fromEntries(pollutants.map(pollutant => [pollutant, kwh * factors[pollutant]]));
+      for (const pollutant of pollutants) grams[pollutant] += byType[type][pollutant];
+
+      const named = electricity.sources.filter(source => source.type === type);
+      if (named.length === 0) {
+        for (const pollutant of pollutants) unattributed[pollutant] += byType[type][pollutant];
+        continue;
+      }
+      for (const source of named) {
+        plants.push({ name: source.name, coords: source.coords, type, grams: scalePollutants(byType[type], 1 / named.length) });
+      }
+    }
+
+    return { grams, byType, plants, unattributed, labels: AIR_POLLUTANTS.labels };
+  }
+
+  /**
+   * Health burden of the session's pollutants and CO₂ by region, and how much
+   * of it lands outside the country of the city that asked for the session
+   */
+  calculateHealthBurden(airPollution, emissions) {
+    const dc = this.currentDatacenter;
+    const city = this.currentCity;
+    const burden = estimateHealthBurden({
+      airPollutionGrams: airPollution.grams,
+      co2Grams: emissions.grams,
+      localRegion: { name: dc.location, coords: dc.coords, country: dc.country },
+      drift: emissions.drift
+    });
+
+    const atHome = burden.regions
+      .filter(region => region.country === city.country)
+      .reduce((sum, region) => sum + region.microDalys, 0);
+
+    return {
+      ...burden,
+      asymmetry: {
+        beneficiary: city.name,
+        country: city.country,
+        microDalysAtHome: atHome,
+        microDalysElsewhere: burden.microDalys - atHome,
+        elsewhereShare: burden.microDalys > 0 ? (burden.microDalys - atHome) / burden.microDalys : 0
+      }
+    };
+  }
+
+  /**
+   * Market-based emissions (GHG Protocol scope 2). MWh covered by PPAs or
+   * certificates count as zero-carbon and the rest takes the residual mix.
+   * Claims are matched over the year, so hour and season do not apply. A site
+   * with no declared claims reports its location-based intensity.
+   */
+  calculateMarketBasedEmissions(electricity, locationIntensity) {
+    const claims = this.currentDatacenter.energy.renewableClaims;
+    if (!claims) {
+      return {
+        grams: electricity.withOverhead * locationIntensity,
+        carbonIntensity: locationIntensity,
+        claim: null,
+        ppaShare: 0,
+        certificateShare: 0,
+        coveredShare: 0,
+        residualMixIntensity: locationIntensity
+      };
+    }
+
+    const coveredShare = Math.min(claims.ppaShare + claims.certificateShare, 1);
+    const carbonIntensity = (1 - coveredShare) * claims.residualMixIntensity;
+
+    return {
+      grams: electricity.withOverhead * carbonIntensity,
+      carbonIntensity,
+      claim: claims.claim,
+      ppaShare: claims.ppaShare,
+      certificateShare: claims.certificateShare,
+      coveredShare,
+      residualMixIntensity: claims.residualMixIntensity
     };
   }
 
   /**
-   * Get materials supply chain data
+   * Get materials supply chain data, with the milligrams of each material
+   * attributable to this session. The session uses up a share of an
+   * accelerator's service life equal to its compute energy over the energy
+   * that accelerator draws in its lifetime — spreading a request over more
+   * GPUs shortens it without changing that share.
    */
-  getMaterials() {
-    // Return subset of materials relevant to the workload
-    const gpuMaterials = ['cobalt', 'lithium', 'rareEarth', 'silicon'];
+  getMaterials(electricity) {
+    const scaling = this.currentWorkload.scaling;
+    const gpuType = BUILDING_SCALE.gpuPower[scaling.gpuType] ? scaling.gpuType : 'A100';
+    const gpuSpec = BUILDING_SCALE.gpuPower[gpuType];
+    const hardware = BUILDING_SCALE.hardware;
+
+    const lifetimeKwh = (gpuSpec.tdpWatts / 1000) * 24 * 365 * hardware.lifetimeYears * hardware.utilization;
+    // baseKwh is drawn by every GPU serving the session, so this share already
+    // spans all of them; gpuCount is for display only and must not scale it again
+    const acceleratorShare = electricity.baseKwh / lifetimeKwh;
+    // gpusPerQuery, gpusPerImage, gpusPerHour...
+    const gpuCount = Object.entries(scaling).find(([key]) => key.startsWith('gpusPer'))?.[1] || 1;
+
     const relevantMaterials = {};
-    
-    for (const key of gpuMaterials) {
-      relevantMaterials[key] = MATERIALS[key];
+    let totalMg = 0;
+
+    for (const [key, grams] of Object.entries(gpuSpec.bom || {})) {
+      if (!MATERIALS[key]) continue;
+      const mg = grams * acceleratorShare * 1000;
+      relevantMaterials[key] = { ...MATERIALS[key], mg };
+      totalMg += mg;
     }
 
     return {
       materials: relevantMaterials,
+      totalMg,
+      acceleratorShare,
+      gpu: { type: gpuType, name: gpuSpec.name, count: gpuCount },
       ewasteDestinations: Object.values(EWASTE)
     };
   }
 
+  /**
+   * Embodied (manufacturing) carbon attributable to one session: the user's
+   * device, shared by its hours of use, and the datacenter hardware, shared
+   * the same way as its materials
+   */
+  calculateEmbodied(materials) {
+    const workload = this.currentWorkload;
+    const device = INTERIOR_SCALE.laptop;
+    const gpuSpec = BUILDING_SCALE.gpuPower[materials.gpu.type];
+    const { manufacturingCarbonIntensity } = BUILDING_SCALE.hardware;
+
+    const deviceLifetimeMinutes = device.lifetimeYears * 365 * device.activeHoursPerDay * 60;
+    const deviceShare = workload.perSession.durationMinutes / deviceLifetimeMinutes;
+    const deviceGrams = device.embodiedKgCO2 * 1000 * deviceShare;
+
+    const datacenterGrams = (gpuSpec.embodiedKgCO2 || 0) * 1000 * materials.acceleratorShare;
+    const grams = deviceGrams + datacenterGrams;
+
+    return {
+      grams,
+      kwh: grams / manufacturingCarbonIntensity,
+      device: { name: device.name, grams: deviceGrams, share: deviceShare },
+      datacenter: { name: gpuSpec.name, grams: datacenterGrams, share: materials.acceleratorShare }
+    };
+  }
+
+  /**
+   * Calculate network transport between the user's city and the datacenter:
+   * the session's payload through the access network, plus one core router
+   * hop per NETWORK.kmPerHop of displacement
+   */
+  calculateTransport(distance) {
+    const payloadGB = (this.currentWorkload.perSession.payloadMB || 0) / 1000;
+    const hops = NETWORK.baseHops + Math.round(distance / NETWORK.kmPerHop);
+    const kwhPerGB = NETWORK.accessKwhPerGB + NETWORK.kwhPerGBPerHop * hops;
+    const kwh = payloadGB * kwhPerGB;
+
+    return {
+      payloadGB,
+      distanceKm: distance,
+      hops,
+      kwhPerGB,
+      kwh,
+      liters: kwh * NETWORK.waterLitersPerKwh,
+      grams: kwh * NETWORK.carbonIntensity
+    };
+  }
+
+  /**
+   * Adoption assumptions for the current workload: ADOPTION defaults, then
+   * the workload's own `adoption` block, then any configure() overrides
+   */
+  getAdoption() {
+    return {
+      ...ADOPTION.defaults,
+      ...this.currentWorkload.adoption,
+      ...this.adoption
+    };
+  }
+
+  /**
+   * Scale one session to a year of the current city's use of the workload:
+   * population × adoption rate × sessions per user per day × days. Uses the
+   * session at the configured hour and month, including network transport.
+   */
+  calculateAnnual(electricity, water, emissions, transport) {
+    const { adoptionRate, sessionsPerUserPerDay } = this.getAdoption();
+    const population = this.currentCity.population;
+    const users = population * adoptionRate;
+    const sessionsPerYear = users * sessionsPerUserPerDay * ADOPTION.daysPerYear;
+
+    return {
+      population,
+      adoptionRate,
+      sessionsPerUserPerDay,
+      users,
+      sessionsPerYear,
+      mwh: ((electricity.withOverhead + transport.kwh) * sessionsPerYear) / 1000,
+      megaliters: ((water.liters + transport.liters) * sessionsPerYear) / 1e6,
+      tonsCO2: ((emissions.grams + transport.grams) * sessionsPerYear) / 1e6
+    };
+  }
+
+  /**
+   * Every kWh the site draws leaves it as heat. With heatReuse on, the
+   * district-heating scheme takes its share first, limited by the month's
+   * demand; the rest is dumped. Discharged cooling water carries off what its
+   * warming can hold, evaporation some more, and the air takes the remainder.
+   */
+  calculateWasteHeat(electricity, water, annual) {
+    const dc = this.currentDatacenter;
+    const heat = dc.heat || {};
+    const scheme = heat.reuse || null;
+    const kwh = electricity.withOverhead;
+
+    const uptake = !scheme ? 0
+      : this.currentMonth === null
+        ? scheme.uptakeByMonth.reduce((sum, value) => sum + value, 0) / scheme.uptakeByMonth.length
+        : scheme.uptakeByMonth[this.currentMonth];
+    const reusedShare = this.heatReuse && scheme ? scheme.recoveryShare * uptake : 0;
+    const reusedKwh = kwh * reusedShare;
+    const dumpedKwh = kwh - reusedKwh;
+
+    // Recovered heat no longer reaches the cooling water
+    const waterKwh = heat.waterSink
+      ? Math.min(water.discharge.onsite * heat.dischargeDeltaK * WASTE_HEAT.sensibleKwhPerLiterKelvin * (1 - reusedShare), dumpedKwh)
+      : 0;
+    const atmosphereKwh = dumpedKwh - waterKwh;
+    const latentKwh = Math.min(water.consumption.onsite * WASTE_HEAT.latentKwhPerLiter * (1 - reusedShare), atmosphereKwh);
+
+    const sinks = { atmosphere: atmosphereKwh, seawater: 0, river: 0 };
+    if (heat.waterSink) sinks[heat.waterSink] = waterKwh;
+    const mainSink = Object.keys(sinks).reduce((best, sink) => (sinks[sink] > sinks[best] ? sink : best));
+
+    const homeHeatKwhPerYear = scheme?.homeHeatKwhPerYear ?? WASTE_HEAT.homeHeatKwhPerYear;
+    const homesPerYear = (sessionKwh) => (sessionKwh * annual.sessionsPerYear) / homeHeatKwhPerYear;
+
+    return {
+      kwh,
+      megajoules: kwh * 3.6,
+      dumpedKwh,
+      sinks,
+      mainSink,
+      atmosphere: { latentKwh, sensibleKwh: atmosphereKwh - latentKwh },
+      waterSink: heat.waterSink
+        ? { type: heat.waterSink, name: dc.water.source, coords: dc.water.sourceCoords }
+        : null,
+      reuse: {
+        available: Boolean(scheme),
+        enabled: this.heatReuse && Boolean(scheme),
+        scheme: scheme?.scheme ?? null,
+        coords: scheme?.coords ?? null,
+        uptake,
+        share: reusedShare,
+        kwh: reusedKwh,
+        // Hours of one home's heating this session's recovered heat covers
+        homeHours: reusedKwh / (homeHeatKwhPerYear / HOURS_PER_YEAR),
+        homesHeatedPerYear: homesPerYear(reusedKwh)
+      },
+      // Homes a year of the city's sessions could have heated with what was dumped
+      homesDumpedPerYear: homesPerYear(dumpedKwh),
+      homeHeatKwhPerYear
+    };
+  }
+
+  /**
+   * Operational, transport and embodied figures side by side — the single
+   * lifecycle number every view shows
+   */
+  calculateLifecycle(electricity, emissions, materials, transport) {
+    const embodied = this.calculateEmbodied(materials);
+
+    return {
+      operational: { grams: emissions.grams, kwh: electricity.withOverhead },
+      transport: { grams: transport.grams, kwh: transport.kwh },
+      embodied,
+      grams: emissions.grams + transport.grams + embodied.grams,
+      kwh: electricity.withOverhead + transport.kwh + embodied.kwh
+    };
+  }
+
+  /**
+   * Calculate land occupied per session (m²·year): mines supplying the
+   * server hardware, amortized over its service life, plus the power plants
+   * generating the session's electricity
+   */
+  calculateLandUse(electricity, materials, annual) {
+    const byMaterial = {};
+    let miningM2a = 0;
+    for (const [key, material] of Object.entries(materials.materials)) {
+      const tons = material.mg / 1e9;
+      const m2a = tons * (material.landM2aPerTon || 0);
+      byMaterial[key] = m2a;
+      miningM2a += m2a;
+    }
+
+    const bySource = {};
+    let energyM2a = 0;
+    const mwh = electricity.withOverhead / 1000;
+    for (const [type, share] of Object.entries(electricity.gridMix)) {
+      const intensity = LAND_USE.energyM2aPerMWh[type] ?? LAND_USE.energyM2aPerMWh.other;
+      const m2a = mwh * share * intensity;
+      bySource[type] = m2a;
+      energyM2a += m2a;
+    }
+
+    const total = miningM2a + energyM2a;
+
+    return {
+      m2a: total,
+      km2a: total / 1e6,
+      mining: { m2a: miningM2a, byMaterial },
+      energy: { m2a: energyM2a, bySource },
+      annualKm2: (total * annual.sessionsPerYear) / 1e6
+    };
+  }
+
   /**
    * Run full simulation and return all results
    */
@@ -190,6 +1002,103 @@ export class SimulationEngine {
       throw new Error('Simulation not fully configured');
     }
 
+    if (this.routing.length <= 1) {
+      return this.runSiteSimulation();
+    }
+
+    const sites = this.routing.map(({ datacenter, weight }) => ({
+      datacenter,
+      weight,
+      results: this.withSite(datacenter, () => this.runSiteSimulation())
+    }));
+    return this.blendSiteResults(sites);
+  }
+
+  /**
+   * Combine per-site results into one: impacts are averaged by routing
+   * weight, and every site keeps its own flows, thinned by its weight. The
+   * most heavily weighted site stands in for `datacenter`, names and sources.
+   */
+  blendSiteResults(sites) {
+    const primary = sites[0].results;
+    const weights = sites.map(site => site.weight);
+    const blended = { ...primary };
+
+    for (const section of BLENDED_SECTIONS) {
+      blended[section] = blendWeighted(sites.map(site => site.results[section]), weights);
+    }
+
+    // Ratios do not average by weight: recompute them from the blended totals
+    blended.water.scarcity.factor = blended.water.liters > 0
+      ? blended.water.scarcity.liters / blended.water.liters
+      : blended.water.scarcity.factor;
+    blended.emissions.greenwashingDelta.share = blended.emissions.byFactor.average.grams > 0
+      ? blended.emissions.greenwashingDelta.grams / blended.emissions.byFactor.average.grams
+      : 0;
+    blended.emissions.averageUnderstatement.share = blended.emissions.byFactor.marginal.grams > 0
+      ? blended.emissions.averageUnderstatement.grams / blended.emissions.byFactor.marginal.grams
+      : 0;
+
+    // A trajectory does not average: the primary site's stands in, while the
+    // flows keep every site's plume
+    blended.emissions.drift = primary.emissions.drift;
+    blended.narrativeData.emissionsDrift = primary.emissions.drift;
+    blended.scaleBreakdown.planetary.emissionsDriftKm = primary.scaleBreakdown.planetary.emissionsDriftKm;
+
+    blended.heat.reuse.share = blended.heat.kwh > 0 ? blended.heat.reuse.kwh / blended.heat.kwh : 0;
+    blended.heat.reuse.available = sites.some(({ results }) => results.heat.reuse.available);
+    blended.heat.reuse.enabled = sites.some(({ results }) => results.heat.reuse.enabled);
+    blended.heat.mainSink = Object.keys(blended.heat.sinks)
+      .reduce((best, sink) => (blended.heat.sinks[sink] > blended.heat.sinks[best] ? sink : best));
+    blended.narrativeData.heatReusedShare = blended.heat.reuse.share;
+    blended.narrativeData.heatMainSink = WASTE_HEAT.sinkNames[blended.heat.mainSink];
+
+    // Every site's plants, each scaled by its site's share of the load
+    blended.airPollution.plants = sites.flatMap(({ weight, results }) =>
+      results.airPollution.plants.map(plant => ({ ...plant, grams: scalePollutants(plant.grams, weight) }))
+    );
+
+    blended.health.regions = sites.flatMap(({ weight, results }) =>
+      results.health.regions.map(region => ({
+        ...region,
+        byPollutant: scalePollutants(region.byPollutant, weight),
+        microDalys: region.microDalys * weight
+      }))
+    );
+    const { asymmetry } = blended.health;
+    asymmetry.elsewhereShare = blended.health.microDalys > 0 ? asymmetry.microDalysElsewhere / blended.health.microDalys : 0;
+    blended.narrativeData.healthElsewhereShare = asymmetry.elsewhereShare;
+
+    blended.routing = sites.map(({ datacenter, weight, results }) => ({
+      id: datacenter.id,
+      name: datacenter.name,
+      location: datacenter.location,
+      weight,
+      kwh: results.electricity.withOverhead,
+      liters: results.water.liters,
+      grams: results.emissions.grams
+    }));
+
+    blended.flows = sites.flatMap(({ weight, results }) => results.flows.map(flow => ({
+      ...flow,
+      label: flow.type === 'data' ? `${flow.label} (${Math.round(weight * 100)}%)` : flow.label,
+      intensity: flow.intensity * weight,
+      airPollutants: flow.airPollutants ? scalePollutants(flow.airPollutants, weight) : flow.airPollutants,
+      weight
+    })));
+
+    blended.narrativeData.distanceKm = Math.round(blended.narrativeData.distanceKm);
+    blended.narrativeData.datacenterLocation = blended.routing.map(site => site.location).join(' / ');
+    const split = blended.routing.map(site => `${Math.round(site.weight * 100)}% to ${site.location}`).join(', ');
+    blended.narrative = `${NARRATIVES.routing({ split }).trim()} ${NARRATIVES.standard(blended.narrativeData).trim()}`;
+
+    return blended;
+  }
+
+  /**
+   * Run the simulation for the current datacenter alone
+   */
+  runSiteSimulation() {
     const distance = this.calculateDistance(
       this.currentCity.coords,
       this.currentDatacenter.coords
@@ -198,7 +1107,14 @@ export class SimulationEngine {
     const electricity = this.calculateElectricity();
     const water = this.calculateWater();
     const emissions = this.calculateEmissions();
-    const materials = this.getMaterials();
+    const airPollution = this.calculateAirPollution(electricity);
+    const health = this.calculateHealthBurden(airPollution, emissions);
+    const materials = this.getMaterials(electricity);
+    const transport = this.calculateTransport(distance);
+    const annual = this.calculateAnnual(electricity, water, emissions, transport);
+    const heat = this.calculateWasteHeat(electricity, water, annual);
+    const landUse = this.calculateLandUse(electricity, materials, annual);
+    const lifecycle = this.calculateLifecycle(electricity, emissions, materials, transport);
 
     // Generate narrative
     const narrativeData = {
@@ -206,44 +1122,64 @@ export class SimulationEngine {
       datacenterName: this.currentDatacenter.name,
       datacenterLocation: this.currentDatacenter.location,
       fossilPercent: electricity.fossilPercent,
-      waterLiters: water.liters,
+      heatReusedShare: heat.reuse.share,
+      heatReuseScheme: heat.reuse.scheme,
+      heatMainSink: WASTE_HEAT.sinkNames[heat.mainSink],
+      waterLiters: water.consumption.onsite,
+      offsiteWaterLiters: water.consumption.offsite,
+      waterWithdrawnLiters: water.withdrawal.liters,
+      scarceWaterLiters: water.scarcity.liters,
+      waterDischargedLiters: water.discharge.liters,
       waterSource: water.source,
       aquiferDepletion: water.aquiferDepletion,
       waterLitersPerSecond: water.litersPerSecond,
       co2Grams: emissions.grams,
       emissionsDrift: emissions.drift,
-      annualTonsCO2: emissions.annualTonsCO2,
+      healthMicroDalys: health.microDalys,
+      healthElsewhereShare: health.asymmetry.elsewhereShare,
+      cityName: this.currentCity.name,
+      cityCountry: this.currentCity.country,
+      annualTonsCO2: annual.tonsCO2,
       ewasteDestination: materials.ewasteDestinations[0].name
     };
 
     const narrative = NARRATIVES.standard(narrativeData);
 
     // Calculate multi-scale breakdown
-    const scaleBreakdown = this.calculateScaleBreakdown(electricity, water, emissions, materials, distance);
+    const scaleBreakdown = this.calculateScaleBreakdown(electricity, water, emissions, airPollution, materials, distance, lifecycle);
 
     return {
       city: this.currentCity,
       workload: this.currentWorkload,
       datacenter: this.currentDatacenter,
       hour: this.currentHour,
+      month: this.currentMonth,
+      climate: this.getSeasonalConditions(),
       distance,
       electricity,
       water,
       emissions,
+      airPollution,
+      health,
+      heat,
       materials,
+      landUse,
+      transport,
+      lifecycle,
+      annual,
       narrative,
       narrativeData,
       scaleBreakdown,
 
       // Flow paths for visualization
-      flows: this.generateFlows(electricity, water, emissions, materials)
+      flows: this.generateFlows(electricity, water, emissions, airPollution, heat, materials)
     };
   }
 
   /**
    * Generate flow data for ghost line visualization
    */
-  generateFlows(electricity, water, emissions, materials) {
+  generateFlows(electricity, water, emissions, airPollution, heat, materials) {
     const flows = [];
     const dc = this.currentDatacenter;
     const city = this.currentCity;
@@ -257,7 +1193,7 @@ export class SimulationEngine {
       intensity: 1
     });
 
-    // Electricity sources to datacenter
+    // Electricity sources to datacenter; combustion plants carry their pollutants
     for (const source of electricity.sources) {
       flows.push({
         type: 'electricity',
@@ -265,48 +1201,117 @@ export class SimulationEngine {
         to: dc.coords,
         label: source.name,
         sourceType: source.type,
-        intensity: dc.energy.gridMix[source.type] || 0.1
+        intensity: electricity.gridMix[source.type] || 0.1,
+        airPollutants: airPollution.plants.find(plant => plant.name === source.name)?.grams || null
       });
     }
 
-    // Water source to datacenter
-    if (water.liters > 0) {
+    // Water withdrawn from the source, and the unevaporated share sent back warmer
+    if (water.withdrawal.onsite > 0) {
       flows.push({
         type: 'water',
+        waterUse: 'withdrawal',
         from: water.sourceCoords,
         to: dc.coords,
-        label: water.source,
-        intensity: Math.min(water.liters / 10, 1),
+        label: `${water.source} · ${formatLiters(water.withdrawal.onsite)} withdrawn`,
+        intensity: Math.min(water.withdrawal.onsite / 10, 1),
         stressLevel: water.stressLevel
       });
     }
+    if (water.discharge.onsite > 0) {
+      flows.push({
+        type: 'water',
+        waterUse: 'discharge',
+        from: dc.coords,
+        to: water.sourceCoords,
+        label: `${formatLiters(water.discharge.onsite)} returned warmer`,
+        intensity: Math.min(water.discharge.onsite / 10, 1)
+      });
+    }
+
+    // Off-site water evaporated at the power plants — each type's liters split
+    // evenly across the site's named plants of that type
+    for (const source of electricity.sources) {
+      const sameType = electricity.sources.filter(other => other.type === source.type).length;
+      const liters = (water.offsite.bySource[source.type]?.consumption || 0) / sameType;
+      if (liters <= 0) continue;
+      flows.push({
+        type: 'water',
+        waterUse: 'consumption',
+        from: source.coords,
+        to: dc.coords,
+        label: `${source.name} · ${formatLiters(liters)} evaporated (off-site)`,
+        intensity: Math.min(liters / 10, 1),
+        offsite: true
+      });
+    }
 
-    // Emissions drift
+    // Emissions drift — a cloud following the wind trajectory, not a straight arc
     if (emissions.drift) {
-      for (const dest of emissions.drift.destinations) {
-        flows.push({
-          type: 'emissions',
-          from: dc.coords,
-          to: dest.coords,
-          label: `CO₂ drift to ${dest.name}`,
-          intensity: Math.min(emissions.grams / 500, 1)
-        });
-      }
+      const { trajectory, plume, direction, driftDistanceKm, hours } = emissions.drift;
+      flows.push({
+        type: 'emissions',
+        subtype: 'plume',
+        from: dc.coords,
+        to: trajectory[trajectory.length - 1],
+        path: trajectory,
+        plume,
+        label: `CO₂ drifting ${direction} · ${driftDistanceKm.toLocaleString()} km in ${hours} h`,
+        intensity: Math.min(emissions.grams / 500, 1)
+      });
+    }
+
+    // Waste heat — dumped into the air around the site (drawn as a halo), into
+    // its cooling water, or piped to district heating
+    if (heat.sinks.atmosphere > 0) {
+      flows.push({
+        type: 'heat',
+        heatUse: 'dumped',
+        halo: true,
+        from: dc.coords,
+        to: dc.coords,
+        label: `${formatKwh(heat.sinks.atmosphere)} of heat dumped into the air`,
+        intensity: heat.sinks.atmosphere / heat.kwh
+      });
+    }
+    if (heat.waterSink && heat.sinks[heat.waterSink.type] > 0) {
+      flows.push({
+        type: 'heat',
+        heatUse: 'dumped',
+        from: dc.coords,
+        to: heat.waterSink.coords,
+        label: `${heat.waterSink.name} · ${formatKwh(heat.sinks[heat.waterSink.type])} of heat dumped`,
+        intensity: Math.max(heat.sinks[heat.waterSink.type] / heat.kwh, 0.1)
+      });
     }
+    if (heat.reuse.kwh > 0) {
+      flows.push({
+        type: 'heat',
+        heatUse: 'reused',
+        from: dc.coords,
+        to: heat.reuse.coords,
+        label: `${heat.reuse.scheme} · ${formatKwh(heat.reuse.kwh)} ≈ ${Number((heat.reuse.homeHours * 60).toPrecision(2))} minutes of a home's heating`,
+        intensity: Math.max(heat.reuse.share, 0.1)
+      });
+    }
+
+    // Materials supply chains — quantities span several orders of magnitude,
+    // so intensity follows their logarithm
+    const materialIntensity = (mg) => Math.max(0.1, Math.min(0.4 + 0.2 * Math.log10(Math.max(mg, 1e-6)), 1));
 
-    // Materials supply chains
     for (const [key, material] of Object.entries(materials.materials)) {
       flows.push({
         type: 'materials',
         subtype: 'supply',
         from: material.sourceCoords,
         to: dc.coords,
-        label: material.name,
-        intensity: 0.5
+        label: `${material.name} · ${Number(material.mg.toPrecision(2)).toLocaleString('en-US')} mg`,
+        mg: material.mg,
+        intensity: materialIntensity(material.mg)
       });
     }
 
-    // E-waste flows
+    // E-waste flows — every milligram mined ends up as hardware to dispose of
     for (const dest of materials.ewasteDestinations.slice(0, 2)) {
       flows.push({
         type: 'materials',
@@ -314,7 +1319,8 @@ export class SimulationEngine {
         from: dc.coords,
         to: dest.coords,
         label: `E-waste to ${dest.name}`,
-        intensity: 0.3
+        mg: materials.totalMg,
+        intensity: materialIntensity(materials.totalMg) * 0.6
       });
     }
 
@@ -324,7 +1330,7 @@ export class SimulationEngine {
   /**
    * Calculate a per-scale breakdown of energy impact
    */
-  calculateScaleBreakdown(electricity, water, emissions, materials, distance) {
+  calculateScaleBreakdown(electricity, water, emissions, airPollution, materials, distance, lifecycle) {
     const dc = this.currentDatacenter;
     const workload = this.currentWorkload;
     const device = INTERIOR_SCALE.laptop;
@@ -335,24 +1341,22 @@ export class SimulationEngine {
     const networkKwh = (device.networkWatts * sessionMinutes) / 60 / 1000;
     const serverKwh = electricity.baseKwh;
 
-    const gpuType = workload.scaling.gpuType;
-    const gpuSpec = BUILDING_SCALE.gpuPower[gpuType] || BUILDING_SCALE.gpuPower['A100'];
-
     // --- Building Scale ---
     const computeKwh = electricity.baseKwh;
     const pue = electricity.pue;
     const coolingOverheadKwh = electricity.withOverhead - electricity.baseKwh;
     const coolingPercent = pue > 1 ? ((pue - 1) / pue) * 100 : 0;
-    const heatPenalty = dc.climate.heatPenalty;
-    const coolingWaterLiters = water ? water.liters : 0;
+    const heatPenalty = electricity.heatPenalty;
+    const coolingWaterLiters = water ? water.withdrawal.onsite : 0;
 
     // --- City Scale ---
-    const gridCarbonIntensity = dc.energy.carbonIntensity;
+    const gridCarbonIntensity = Math.round(emissions.baseCarbonIntensity);
     const fossilPercent = electricity.fossilPercent;
     const waterSource = water ? water.source.split('/')[0].trim() : 'N/A';
     const aquiferDepletion = dc.water.aquiferDepletion;
     const waterStressLevel = dc.water.stressLevel;
-    const localAirImpact = fossilPercent > 50 ? 'Significant' : fossilPercent > 25 ? 'Moderate' : 'Low';
+    const waterScarcityFactor = this.getScarcityFactor(dc).factor;
+    const airPollutantsMg = scalePollutants(airPollution.grams, 1000);
 
     // --- Planetary Scale ---
     const displacementKm = Math.round(distance);
@@ -381,7 +1385,7 @@ export class SimulationEngine {
         laptopWatts: device.activeWatts,
         networkWatts: device.networkWatts,
         sessionMinutes,
-        gpuDemand: `${gpuSpec.name} x${workload.scaling.gpusPerQuery || workload.scaling.gpusPerImage || workload.scaling.gpusPerHour}`
+        gpuDemand: `${materials.gpu.name} x${materials.gpu.count}`
       },
       building: {
         computeWh: computeKwh * 1000,
@@ -397,7 +1401,8 @@ export class SimulationEngine {
         waterSource,
         aquiferDepletion: `${Math.round(aquiferDepletion * 100)}%`,
         waterStressLevel,
-        localAirImpact
+        waterScarcityFactor,
+        airPollutantsMg
       },
       planetary: {
         displacementKm,
@@ -406,8 +1411,123 @@ export class SimulationEngine {
         materialSources: uniqueMaterialSources.slice(0, 3).join(', '),
         ewasteDestination: ewasteDestinations[0] || 'N/A',
         emissionsDriftKm: emissionsDrift ? emissionsDrift.driftDistanceKm : 0,
-        jurisdictions
+        jurisdictions,
+        lifecycleGrams: lifecycle.grams,
+        operationalGrams: lifecycle.operational.grams,
+        embodiedGrams: lifecycle.embodied.grams,
+        lifecycleKwh: lifecycle.kwh,
+        transportWh: lifecycle.transport.kwh * 1000,
+        transportGrams: lifecycle.transport.grams
+      }
+    };
+  }
+
+  /**
+   * Monte Carlo sensitivity analysis for the current configuration.
+   * Samples every uncertain parameter from a triangular distribution over its
+   * bounds, and ranks parameters by how far each one alone swings the result
+   * (tornado chart) with the others held at their central values.
+   */
+  runSensitivity({ samples = 5000, random = Math.random } = {}) {
+    if (!this.currentWorkload || !this.currentDatacenter) {
+      throw new Error('Simulation not fully configured');
+    }
+
+    const model = this.getImpactModel();
+    const central = model.valuesAt('central');
+    const draws = { kwh: [], liters: [], grams: [] };
+
+    for (let i = 0; i < samples; i++) {
+      const values = {};
+      for (const p of model.parameters) {
+        values[p.key] = sampleTriangular(p.low, p.central, p.high, random());
+      }
+      const impacts = model.evaluate(values);
+      draws.kwh.push(impacts.kwh);
+      draws.liters.push(impacts.liters);
+      draws.grams.push(impacts.grams);
+    }
+
+    // One-at-a-time swings
+    const swings = model.parameters.map(p => ({
+      parameter: p,
+      low: model.evaluate({ ...central, [p.key]: p.low }),
+      high: model.evaluate({ ...central, [p.key]: p.high })
+    }));
+
+    const centralImpacts = model.evaluate(central);
+    const metrics = {};
+    for (const [metric, { field, unit }] of Object.entries(SENSITIVITY_METRICS)) {
+      const tornado = swings
+        .map(({ parameter, low, high }) => ({
+          key: parameter.key,
+          label: parameter.label,
+          bounds: { low: parameter.low, central: parameter.central, high: parameter.high },
+          low: low[field],
+          high: high[field],
+          swing: Math.abs(high[field] - low[field])
+        }))
+        .filter(bar => bar.swing > 0)
+        .sort((a, b) => b.swing - a.swing);
+
+      metrics[metric] = {
+        unit,
+        central: centralImpacts[field],
+        mean: draws[field].reduce((sum, v) => sum + v, 0) / samples,
+        percentiles: percentiles(draws[field], SENSITIVITY_PERCENTILES),
+        tornado
+      };
+    }
+
+    return {
+      samples,
+      parameters: model.parameters,
+      metrics
+    };
+  }
+
+  /**
+   * Evaluate every datacenter × hour for the current city and workload, and
+   * mark the Pareto frontier over water, CO₂ and distance. Month and workload
+   * stay fixed; the configured routing and hour are restored afterwards.
+   */
+  exploreTradeoffs({ hours = HOURS_OF_DAY } = {}) {
+    if (!this.currentCity || !this.currentWorkload) {
+      throw new Error('Simulation not fully configured');
+    }
+
+    const originalHour = this.currentHour;
+    const points = [];
+
+    try {
+      for (const datacenter of Object.values(DATACENTERS)) {
+        const distance = this.calculateDistance(this.currentCity.coords, datacenter.coords);
+
+        this.withSite(datacenter, () => {
+          for (const hour of hours) {
+            this.currentHour = hour;
+            points.push({
+              datacenter: datacenter.id,
+              name: datacenter.name,
+              hour,
+              kwh: this.calculateElectricity().withOverhead,
+              water: this.calculateWater().liters,
+              emissions: this.calculateEmissions().grams,
+              distance
+            });
+          }
+        });
       }
+    } finally {
+      this.currentHour = originalHour;
+    }
+
+    markParetoFrontier(points, TRADEOFF_AXES.map(axis => axis.key));
+
+    return {
+      axes: TRADEOFF_AXES,
+      points,
+      frontier: points.filter(point => point.pareto)
     };
   }
 
@@ -415,16 +1535,8 @@ export class SimulationEngine {
    * Compare two datacenter options
    */
   compareDatacenters(dc1Id, dc2Id) {
-    const original = this.currentDatacenter;
-    
-    this.currentDatacenter = DATACENTERS[dc1Id];
-    const results1 = this.runSimulation();
-    
-    this.currentDatacenter = DATACENTERS[dc2Id];
-    const results2 = this.runSimulation();
-    
-    // Restore original
-    this.currentDatacenter = original;
+    const results1 = this.withSite(DATACENTERS[dc1Id], () => this.runSiteSimulation());
+    const results2 = this.withSite(DATACENTERS[dc2Id], () => this.runSiteSimulation());
 
     return {
       dc1: results1,
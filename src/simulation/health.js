@@ -0,0 +1,46 @@
+/**
+ * GHOST NETWORK - Health Burden
+ * Order-of-magnitude health damage from a session's emissions, by region
+ */
+
+import { HEALTH_BURDEN } from '../data/models.js';
+
+/**
+ * Turn grams of air pollutants and CO₂ into micro-DALYs (millionths of a
+ * healthy life-year) and place them: part of each pollutant's burden falls
+ * near the plants, the rest on the drift destinations by their
+ * exposureShare. CO₂ harms through warming, so its burden is global.
+ * Sites from datasets without a country are labeled by their own name.
+ */
+export function estimateHealthBurden({ airPollutionGrams, co2Grams, localRegion, drift }) {
+  const destinations = drift?.destinations || [];
+  const totalExposure = destinations.reduce((sum, dest) => sum + (dest.exposureShare ?? 0), 0);
+
+  const region = (name, coords, country, kind) => ({ name, coords, country, kind, byPollutant: {}, microDalys: 0 });
+  const local = region(localRegion.name, localRegion.coords, localRegion.country ?? localRegion.name, 'local');
+  const downwind = destinations.map(dest => region(dest.name, dest.coords, dest.country ?? null, 'downwind'));
+  const climate = region(HEALTH_BURDEN.climateRegion, null, null, 'global');
+
+  for (const [pollutant, grams] of Object.entries(airPollutionGrams)) {
+    const microDalys = (grams / 1000) * HEALTH_BURDEN.dalysPerKg[pollutant] * 1e6;
+    // With nowhere mapped downwind, the whole burden stays local
+    const localShare = totalExposure > 0 ? HEALTH_BURDEN.localShare[pollutant] : 1;
+
+    local.byPollutant[pollutant] = microDalys * localShare;
+    destinations.forEach((dest, i) => {
+      downwind[i].byPollutant[pollutant] = microDalys * (1 - localShare) * (dest.exposureShare ?? 0) / totalExposure;
+    });
+  }
+  climate.byPollutant.co2 = (co2Grams / 1000) * HEALTH_BURDEN.dalysPerKg.co2 * 1e6;
+
+  const regions = [local, ...downwind, climate];
+  for (const entry of regions) {
+    entry.microDalys = Object.values(entry.byPollutant).reduce((sum, value) => sum + value, 0);
+  }
+
+  return {
+    microDalys: regions.reduce((sum, entry) => sum + entry.microDalys, 0),
+    regions,
+    coefficients: { dalysPerKg: HEALTH_BURDEN.dalysPerKg, localShare: HEALTH_BURDEN.localShare }
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * GHOST NETWORK - Inference Energy
+ * Token-based energy model for language model workloads
+ */
+
+import { BUILDING_SCALE, INFERENCE } from '../data/models.js';
+
+/**
+ * Estimate the energy of one query from its token counts, the model's active
+ * parameters and the GPU it runs on. Each token costs
+ * flopsPerParamPerToken × params FLOPs; the GPU turns FLOPs into joules at
+ * TDP / (peak throughput × utilization), with prefill far more efficient
+ * than token-by-token decode. Returns kWh before datacenter PUE.
+ */
+export function estimateInference({ paramsBillions, inputTokens, outputTokens, gpuType, gpus = 1 }) {
+  const gpu = BUILDING_SCALE.gpuPower[gpuType];
+  if (!gpu) {
+    throw new Error(`Unknown GPU type "${gpuType}"`);
+  }
+
+  const flopsPerToken = INFERENCE.flopsPerParamPerToken * paramsBillions * 1e9;
+  const joulesPerFlop = gpu.tdpWatts / (gpu.peakTflops * 1e12);
+  const overhead = INFERENCE.hostOverhead * (1 + INFERENCE.parallelOverhead * Math.log2(Math.max(gpus, 1)));
+
+  const toKwh = (tokens, utilization) => (tokens * flopsPerToken * joulesPerFlop / utilization) * overhead / 3.6e6;
+  const prefillKwh = toKwh(inputTokens, INFERENCE.utilization.prefill);
+  const decodeKwh = toKwh(outputTokens, INFERENCE.utilization.decode);
+
+  return {
+    prefillKwh,
+    decodeKwh,
+    kwhPerQuery: prefillKwh + decodeKwh
+  };
+}
+
+/**
+ * estimateInference for a WORKLOADS entry whose energy formula is
+ * { model: 'tokens' }
+ */
+export function estimateWorkloadInference(workload) {
+  return estimateInference({
+    paramsBillions: workload.scaling.paramsBillions,
+    inputTokens: workload.perSession.inputTokens,
+    outputTokens: workload.perSession.outputTokens,
+    gpuType: workload.scaling.gpuType,
+    gpus: workload.scaling.gpusPerQuery
+  });
+}
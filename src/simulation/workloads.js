@@ -0,0 +1,69 @@
+/**
+ * GHOST NETWORK - Custom Workloads
+ * Builds transient workloads from user-chosen model parameters
+ */
+
+import { BUILDING_SCALE, CUSTOM_WORKLOAD } from '../data/models.js';
+import { estimateInference } from './inference.js';
+
+export const CUSTOM_WORKLOAD_ID = 'custom';
+
+/**
+ * Create a chatbot-style workload from builder inputs. The result has the
+ * same shape as a WORKLOADS entry and can be passed straight to
+ * simulationEngine.configure({ workload }). It is never added to WORKLOADS.
+ */
+export function buildCustomWorkload(options = {}) {
+  const { modelSize, tokensPerQuery, queries, gpuType, gpusPerRequest } = { ...CUSTOM_WORKLOAD.defaults, ...options };
+
+  const size = CUSTOM_WORKLOAD.modelSizes[modelSize];
+  if (!size) {
+    throw new Error(`Unknown model size "${modelSize}"`);
+  }
+  const gpu = BUILDING_SCALE.gpuPower[gpuType];
+  if (!gpu) {
+    throw new Error(`Unknown GPU type "${gpuType}"`);
+  }
+  for (const [name, value] of Object.entries({ tokensPerQuery, queries, gpusPerRequest })) {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${name} must be a positive number`);
+    }
+  }
+
+  const outputTokens = Math.round(tokensPerQuery * CUSTOM_WORKLOAD.outputShare);
+  const inputTokens = tokensPerQuery - outputTokens;
+  const { kwhPerQuery } = estimateInference({
+    paramsBillions: size.paramsBillions,
+    inputTokens,
+    outputTokens,
+    gpuType,
+    gpus: gpusPerRequest
+  });
+  const sessionKwh = kwhPerQuery * queries;
+
+  return {
+    id: CUSTOM_WORKLOAD_ID,
+    name: `Custom ${size.label} model`,
+    icon: '🛠️',
+    description: `${size.label} on ${gpusPerRequest}× ${gpu.name}, ${tokensPerQuery} tokens per query`,
+    intensity: sessionKwh < 0.1 ? 'low' : sessionKwh < 1 ? 'medium' : 'high',
+    transient: true,
+
+    perSession: {
+      queries,
+      inputTokens,
+      outputTokens,
+      payloadMB: queries * CUSTOM_WORKLOAD.payloadMBPerQuery,
+      durationMinutes: queries * CUSTOM_WORKLOAD.minutesPerQuery
+    },
+
+    energy: { model: 'tokens', count: 'queries', unit: 'query', unitPlural: 'queries' },
+
+    scaling: {
+      modelSize,
+      paramsBillions: size.paramsBillions,
+      gpuType,
+      gpusPerQuery: gpusPerRequest
+    }
+  };
+}
@@ -5,30 +5,64 @@
 
 import { gsap } from 'gsap';
 import { simulationEngine } from '../simulation/engine.js';
-import { CITIES, DATACENTERS, WORKLOADS, ENERGY_REFERENCE } from '../data/models.js';
+import { CITIES, DATACENTERS, WORKLOADS, ENERGY_REFERENCE, BUILDING_SCALE, CUSTOM_WORKLOAD } from '../data/models.js';
+import { buildCustomWorkload, CUSTOM_WORKLOAD_ID } from '../simulation/workloads.js';
+import { estimateWorkloadInference } from '../simulation/inference.js';
+import { formatSignificant, formatRange } from './format.js';
+
+// How long the controls must sit still before the analysis panels recompute
+const ANALYSIS_DELAY_MS = 300;
 
 export class UIController {
   constructor(globe) {
     this.globe = globe;
     this.selectedCity = null;
     this.selectedWorkload = null;
+    this.customWorkload = null; // Built by the workload builder, never added to WORKLOADS
+    this.customWorkloadError = null; // Why the builder inputs could not build one
     this.selectedDatacenter = 'arizona';
+    this.splitRouting = false; // Load-balance across sites by routingWeights
+    this.routingWeights = {}; // Datacenter id → weight (0–100)
     this.currentHour = 14;
+    this.currentMonth = null; // null = annual average
     this.simulationResults = null;
+    this.simulationConfig = null; // What the last successful run was configured with
+    this.analysisTimer = null; // Pending deferred refresh of the analysis panels
+    this.sensitivityResults = null;
+    this.sensitivityKey = null; // Configuration sensitivityResults were sampled for
+    this.sensitivityMetric = 'emissions';
+    this.tradeoffResults = null;
+    this.tradeoffKey = null; // Configuration tradeoffResults were swept for
+    this.tradeoffAxes = { x: 'emissions', y: 'water' };
+    this.adoptionOverrides = {}; // Edited annualization inputs; cleared when the workload changes
+    this.emissionsFactor = 'average'; // 'average' grid mix or 'marginal' plant
+    this.heatReuse = false; // Send recoverable heat to district heating where a site has a scheme
 
     this.init();
   }
 
   init() {
+    this.renderCityButtons();
+    this.renderWorkloadButtons();
+    this.renderWorkloadBuilder();
+    this.renderDatacenterOptions();
+
     this.bindCityButtons();
     this.bindWorkloadButtons();
+    this.bindWorkloadBuilder();
     this.bindDatacenterOptions();
     this.bindLayerButtons();
     this.bindRunButton();
     this.bindConsumptionButton();
     this.bindTimeSlider();
+    this.bindMonthSelect();
     this.bindModalControls();
     this.bindDashboardControls();
+    this.bindSensitivityTabs();
+    this.bindTradeoffTabs();
+    this.bindAnnualInputs();
+    this.bindEmissionsFactorToggle();
+    this.bindHeatReuseToggle();
     this.bindLocationPopup();
     this.bindScaleExplorer();
     
@@ -51,6 +85,72 @@ export class UIController {
     loadingScreen.classList.add('hidden');
   }
 
+  /** Build the city buttons from CITIES (built-ins merged with datasets) */
+  renderCityButtons() {
+    const container = document.getElementById('city-options');
+    container.innerHTML = Object.values(CITIES).map(city => `
+      <button class="city-btn" data-city="${city.id}">
+        <span class="city-flag">${city.flag || '🏙️'}</span>
+        <span class="city-name">${city.name}</span>
+      </button>
+    `).join('');
+  }
+
+  /** Build the workload buttons from WORKLOADS */
+  renderWorkloadButtons() {
+    const container = document.getElementById('workload-options');
+    container.innerHTML = Object.values(WORKLOADS).map(workload => `
+      <button class="workload-btn" data-workload="${workload.id}">
+        <span class="workload-icon">${workload.icon || '⚙️'}</span>
+        <span class="workload-name">${workload.name}</span>
+        <span class="workload-intensity">${(workload.intensity || '').toUpperCase()}</span>
+      </button>
+    `).join('') + `
+      <button class="workload-btn" data-workload="${CUSTOM_WORKLOAD_ID}">
+        <span class="workload-icon">🛠️</span>
+        <span class="workload-name">Custom Model</span>
+        <span class="workload-intensity">BUILD</span>
+      </button>
+    `;
+  }
+
+  /** Fill the builder's choices from CUSTOM_WORKLOAD and BUILDING_SCALE.gpuPower */
+  renderWorkloadBuilder() {
+    const defaults = CUSTOM_WORKLOAD.defaults;
+
+    document.getElementById('builder-model-size').innerHTML = Object.entries(CUSTOM_WORKLOAD.modelSizes)
+      .map(([key, size]) => `<option value="${key}"${key === defaults.modelSize ? ' selected' : ''}>${size.label}</option>`)
+      .join('');
+    document.getElementById('builder-gpu-type').innerHTML = Object.entries(BUILDING_SCALE.gpuPower)
+      .map(([key, gpu]) => `<option value="${key}"${key === defaults.gpuType ? ' selected' : ''}>${gpu.name}</option>`)
+      .join('');
+
+    document.getElementById('builder-tokens').value = defaults.tokensPerQuery;
+    document.getElementById('builder-queries').value = defaults.queries;
+    document.getElementById('builder-gpus').value = defaults.gpusPerRequest;
+  }
+
+  /** Build the datacenter radio options from DATACENTERS */
+  renderDatacenterOptions() {
+    const container = document.getElementById('datacenter-options');
+    if (!DATACENTERS[this.selectedDatacenter]) {
+      this.selectedDatacenter = Object.keys(DATACENTERS)[0];
+    }
+    container.innerHTML = Object.values(DATACENTERS).map(dc => `
+      <label class="redirect-option">
+        <input type="radio" name="datacenter" value="${dc.id}"${dc.id === this.selectedDatacenter ? ' checked' : ''}>
+        <span class="option-content">
+          <span class="option-name">${dc.shortName || dc.name}</span>
+          <span class="option-stats">${dc.tagline || dc.location}</span>
+          <span class="routing-weight-row">
+            <input type="range" class="routing-weight" data-dc="${dc.id}" min="0" max="100" step="10" value="${this.routingWeights[dc.id] || 0}">
+            <span class="routing-weight-value" data-dc="${dc.id}">${this.routingWeights[dc.id] || 0}%</span>
+          </span>
+        </span>
+      </label>
+    `).join('');
+  }
+
   bindCityButtons() {
     const buttons = document.querySelectorAll('.city-btn');
     
@@ -87,10 +187,75 @@ export class UIController {
         btn.classList.add('active');
         
         this.selectedWorkload = btn.dataset.workload;
+        this.adoptionOverrides = {}; // Each workload has its own adoption assumptions
+
+        const isCustom = this.selectedWorkload === CUSTOM_WORKLOAD_ID;
+        document.getElementById('workload-builder').classList.toggle('hidden', !isCustom);
+        if (isCustom) this.updateCustomWorkload();
+      });
+    });
+  }
+
+  bindWorkloadBuilder() {
+    const fields = ['builder-model-size', 'builder-tokens', 'builder-queries', 'builder-gpu-type', 'builder-gpus'];
+
+    fields.forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.updateCustomWorkload();
+
+        // Re-run simulation if one is active for a valid custom workload
+        if (this.simulationResults && this.selectedWorkload === CUSTOM_WORKLOAD_ID && this.customWorkload) {
+          this.runSimulation();
+        }
       });
     });
   }
 
+  /**
+   * Rebuild the transient workload from the builder inputs
+   */
+  updateCustomWorkload() {
+    const estimate = document.getElementById('builder-estimate');
+
+    try {
+      this.customWorkload = buildCustomWorkload({
+        modelSize: document.getElementById('builder-model-size').value,
+        tokensPerQuery: parseFloat(document.getElementById('builder-tokens').value),
+        queries: parseFloat(document.getElementById('builder-queries').value),
+        gpuType: document.getElementById('builder-gpu-type').value,
+        gpusPerRequest: parseFloat(document.getElementById('builder-gpus').value)
+      });
+      const perQueryWh = estimateWorkloadInference(this.customWorkload).kwhPerQuery * 1000;
+      estimate.textContent = `≈ ${formatSignificant(perQueryWh)} Wh per query at the GPU`;
+      this.customWorkloadError = null;
+    } catch (error) {
+      this.customWorkload = null;
+      this.customWorkloadError = error.message;
+      estimate.textContent = error.message;
+    }
+  }
+
+  /**
+   * The workload to hand to the engine: a WORKLOADS id, or the custom workload
+   */
+  getWorkloadSelection() {
+    return this.selectedWorkload === CUSTOM_WORKLOAD_ID ? this.customWorkload : this.selectedWorkload;
+  }
+
+  /**
+   * Why the current selection cannot run — the builder's own message when
+   * the custom workload is invalid — or null when it can
+   */
+  getSelectionError() {
+    if (this.selectedCity && this.selectedWorkload === CUSTOM_WORKLOAD_ID && !this.customWorkload) {
+      return this.customWorkloadError || 'Please complete the custom workload';
+    }
+    if (!this.selectedCity || !this.getWorkloadSelection()) {
+      return 'Please select a city and workload';
+    }
+    return null;
+  }
+
   bindDatacenterOptions() {
     const options = document.querySelectorAll('input[name="datacenter"]');
     
@@ -104,6 +269,39 @@ export class UIController {
         }
       });
     });
+
+    document.querySelectorAll('.routing-weight').forEach(slider => {
+      slider.addEventListener('input', () => this.setRoutingWeight(slider.dataset.dc, parseInt(slider.value, 10)));
+    });
+
+    document.getElementById('routing-toggle').addEventListener('change', (e) => {
+      this.splitRouting = e.target.checked;
+      document.getElementById('datacenter-options').classList.toggle('split', this.splitRouting);
+
+      // Start the split from the current single choice
+      const hasWeights = Object.values(this.routingWeights).some(weight => weight > 0);
+      if (this.splitRouting && !hasWeights) {
+        this.setRoutingWeight(this.selectedDatacenter, 100);
+      }
+    });
+  }
+
+  setRoutingWeight(id, weight) {
+    this.routingWeights[id] = weight;
+    const slider = document.querySelector(`.routing-weight[data-dc="${id}"]`);
+    const label = document.querySelector(`.routing-weight-value[data-dc="${id}"]`);
+    if (slider) slider.value = weight;
+    if (label) label.textContent = `${weight}%`;
+  }
+
+  /**
+   * The datacenter to hand to the engine: one id, or routing weights when
+   * load balancing is on and at least one site has a weight
+   */
+  getDatacenterSelection() {
+    if (!this.splitRouting) return this.selectedDatacenter;
+    const weights = Object.fromEntries(Object.entries(this.routingWeights).filter(([, weight]) => weight > 0));
+    return Object.keys(weights).length > 0 ? weights : this.selectedDatacenter;
   }
 
   selectDatacenter(id) {
@@ -126,6 +324,7 @@ export class UIController {
       electricity: true,
       water: true,
       emissions: true,
+      heat: true,
       materials: true
     };
     
@@ -134,6 +333,7 @@ export class UIController {
       electricity: document.querySelector('.layer-btn[data-layer="electricity"]'),
       water: document.querySelector('.layer-btn[data-layer="water"]'),
       emissions: document.querySelector('.layer-btn[data-layer="emissions"]'),
+      heat: document.querySelector('.layer-btn[data-layer="heat"]'),
       materials: document.querySelector('.layer-btn[data-layer="materials"]')
     };
     
@@ -147,6 +347,7 @@ export class UIController {
         electricity: true,
         water: true,
         emissions: true,
+        heat: true,
         materials: true
       };
       
@@ -197,12 +398,14 @@ export class UIController {
     const runBtn = document.getElementById('run-simulation');
     
     runBtn.addEventListener('click', () => {
-      if (!this.selectedCity || !this.selectedWorkload) {
-        this.showError('Please select a city and workload');
+      const selectionError = this.getSelectionError();
+      if (selectionError) {
+        this.showError(selectionError);
         return;
       }
       
       this.runSimulation();
+      this.refreshAnalyses();
     });
   }
 
@@ -221,12 +424,26 @@ export class UIController {
     });
   }
 
+  bindMonthSelect() {
+    const select = document.getElementById('month-select');
+
+    select.addEventListener('change', () => {
+      this.currentMonth = select.value === '' ? null : parseInt(select.value);
+
+      // Re-run simulation if one is active
+      if (this.simulationResults) {
+        this.runSimulation();
+      }
+    });
+  }
+
   bindConsumptionButton() {
     const btn = document.getElementById('run-consumption');
 
     btn.addEventListener('click', () => {
-      if (!this.selectedCity || !this.selectedWorkload) {
-        this.showError('Please select a city and workload');
+      const selectionError = this.getSelectionError();
+      if (selectionError) {
+        this.showError(selectionError);
         return;
       }
       this.runConsumptionMode();
@@ -237,9 +454,13 @@ export class UIController {
     // Run normal simulation first to get energy data
     simulationEngine.configure({
       city: this.selectedCity,
-      workload: this.selectedWorkload,
-      datacenter: this.selectedDatacenter,
-      hour: this.currentHour
+      workload: this.getWorkloadSelection(),
+      datacenter: this.getDatacenterSelection(),
+      hour: this.currentHour,
+      month: this.currentMonth,
+      adoption: this.adoptionOverrides,
+      emissionsFactor: this.emissionsFactor,
+      heatReuse: this.heatReuse
     });
 
     try {
@@ -261,16 +482,12 @@ export class UIController {
       this.consumptionRefName = refBuilding.name;
 
       // Get workload info for context-aware descriptions
-      const workload = WORKLOADS[this.selectedWorkload];
-      const workloadName = workload ? workload.name : 'AI workload';
+      const workloadName = results.workload.name;
 
-      // Per-query/per-image/per-hour energy for multiplier calculations
-      const perUnitKwh = workload?.perSession?.kwhPerQuery
-        || workload?.perSession?.kwhPerImage
-        || (workload?.perSession?.kwhPerHour ? workload.perSession.kwhPerHour / 60 : 0.003);
-      const unitLabel = workload?.perSession?.kwhPerQuery ? 'queries'
-        : workload?.perSession?.kwhPerImage ? 'images'
-        : workload?.perSession?.kwhPerHour ? 'minutes of operation' : 'queries';
+      // Per-unit energy (query, image, hour...) from the workload's energy formula
+      const units = results.electricity.units;
+      const unitCount = units.count > 0 ? units.count : 1;
+      const unitLabelFor = (n) => (n === 1 ? units.singular : units.plural);
 
       // Interior scale
       const interiorKwh = s.interior.deviceWh / 1000;
@@ -281,16 +498,17 @@ export class UIController {
       const buildingKwh = (s.building.computeWh + s.building.coolingWh) / 1000;
       const buildingMinutes = Math.round((buildingKwh / aptRef.kWhPerHour) * 60);
       const ledHours = Math.round(buildingKwh / 0.010);
-      const unitsForOneApt = Math.ceil(aptRef.kWhPerHour / buildingKwh);
+      const unitsForOneApt = Math.ceil(aptRef.kWhPerHour / (buildingKwh / unitCount));
 
       // City scale
       const cityKwh = results.electricity.withOverhead;
       const cityApartments = cityKwh / aptRef.kWhPerHour;
-      const unitsForNeighborhood = Math.ceil((hoodSize * aptRef.kWhPerHour) / cityKwh);
+      const unitsForNeighborhood = Math.ceil((hoodSize * aptRef.kWhPerHour) / (cityKwh / unitCount));
       const kettleBoils = Math.round(cityKwh / 0.1);
 
-      // Planetary scale
-      const planetaryKwh = cityKwh * 1.12;
+      // Planetary scale — operational energy plus hardware manufacturing, amortised per session
+      const lifecycle = results.lifecycle;
+      const planetaryKwh = lifecycle.kwh;
       const planetaryApartments = planetaryKwh / aptRef.kWhPerHour;
       const evKm = (planetaryKwh / 0.15).toFixed(1);
 
@@ -304,19 +522,19 @@ export class UIController {
         building: {
           kWh: buildingKwh,
           label: `The data centre burns ${buildingKwh.toFixed(3)} kWh — compute + cooling.`,
-          infoText: `The server burns ${buildingKwh.toFixed(3)} kWh per session (compute + cooling). That could keep ${ledHours} LED bulb${ledHours !== 1 ? 's' : ''} lit for an hour. You'd need ${unitsForOneApt.toLocaleString()} ${unitLabel} to power one ${aptRef.label} for an hour.`,
-          infoStat: `${unitsForOneApt.toLocaleString()} ${unitLabel} = 1 ${aptRef.label} for 1 hour`
+          infoText: `The server burns ${buildingKwh.toFixed(3)} kWh per session (compute + cooling). That could keep ${ledHours} LED bulb${ledHours !== 1 ? 's' : ''} lit for an hour. You'd need ${unitsForOneApt.toLocaleString()} ${unitLabelFor(unitsForOneApt)} to power one ${aptRef.label} for an hour.`,
+          infoStat: `${unitsForOneApt.toLocaleString()} ${unitLabelFor(unitsForOneApt)} = 1 ${aptRef.label} for 1 hour`
         },
         city: {
           kWh: cityKwh,
           label: `Full grid draw: ${cityKwh.toFixed(3)} kWh — transmission and heat penalty included.`,
-          infoText: `With grid losses included, one session pulls ${cityKwh.toFixed(3)} kWh from the ${results.city.name} grid. ${unitsForNeighborhood.toLocaleString()} ${unitLabel} could light up this entire neighborhood (${hoodSize} apartments) for one hour.${kettleBoils > 0 ? ` That's ${kettleBoils} electric kettle boil${kettleBoils !== 1 ? 's' : ''} per session.` : ''}`,
-          infoStat: `${unitsForNeighborhood.toLocaleString()} ${unitLabel} = entire neighborhood for 1 hour`
+          infoText: `With grid losses included, one session pulls ${cityKwh.toFixed(3)} kWh from the ${results.city.name} grid. ${unitsForNeighborhood.toLocaleString()} ${unitLabelFor(unitsForNeighborhood)} could light up this entire neighborhood (${hoodSize} apartments) for one hour.${kettleBoils > 0 ? ` That's ${kettleBoils} electric kettle boil${kettleBoils !== 1 ? 's' : ''} per session.` : ''}`,
+          infoStat: `${unitsForNeighborhood.toLocaleString()} ${unitLabelFor(unitsForNeighborhood)} = entire neighborhood for 1 hour`
         },
         planetary: {
           kWh: planetaryKwh,
-          label: `Lifecycle ≈ ${planetaryKwh.toFixed(3)} kWh — embodied energy of hardware amortised per query.`,
-          infoText: `Including embodied energy (mining, manufacturing, shipping the hardware), each session costs ${planetaryKwh.toFixed(3)} kWh lifecycle. That could drive an EV ${evKm} km. At scale: 1 million daily users of ${workloadName} consume ~${(planetaryKwh * 1000000).toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} kWh/day — enough to power ${Math.round(planetaryKwh * 1000000 / (aptRef.kWhPerHour * 24)).toLocaleString()} homes for a day.`,
+          label: `Lifecycle ≈ ${planetaryKwh.toFixed(3)} kWh — embodied energy of hardware amortised per session.`,
+          infoText: `Including the manufacture of your ${lifecycle.embodied.device.name.toLowerCase()} and the ${lifecycle.embodied.datacenter.name} serving you, each session costs ${planetaryKwh.toFixed(3)} kWh and ${formatSignificant(lifecycle.grams)} gCO₂ lifecycle (${formatSignificant(lifecycle.embodied.grams)} g embodied). That could drive an EV ${evKm} km. At scale: 1 million daily users of ${workloadName} consume ~${(planetaryKwh * 1000000).toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} kWh/day — enough to power ${Math.round(planetaryKwh * 1000000 / (aptRef.kWhPerHour * 24)).toLocaleString()} homes for a day.`,
           infoStat: `1M users/day ≈ ${Math.round(planetaryKwh * 1000000 / (aptRef.kWhPerHour * 24)).toLocaleString()} homes powered daily`
         }
       };
@@ -473,22 +691,29 @@ export class UIController {
     }
 
     // Configure simulation
-    simulationEngine.configure({
+    const config = {
       city: this.selectedCity,
-      workload: this.selectedWorkload,
-      datacenter: this.selectedDatacenter,
-      hour: this.currentHour
-    });
+      workload: this.getWorkloadSelection(),
+      datacenter: this.getDatacenterSelection(),
+      hour: this.currentHour,
+      month: this.currentMonth,
+      adoption: { ...this.adoptionOverrides },
+      emissionsFactor: this.emissionsFactor,
+      heatReuse: this.heatReuse
+    };
+    simulationEngine.configure(config);
 
     try {
       // Run simulation
       this.simulationResults = simulationEngine.runSimulation();
+      this.simulationConfig = config;
       
       // Visualize flows on globe
       this.globe.visualizeFlows(this.simulationResults.flows);
       
       // Update dashboard
       this.updateDashboard(this.simulationResults);
+      this.scheduleAnalyses();
       
       // Hide scale explorer (it belongs to consumption mode only)
       this.hideScaleExplorer();
@@ -509,7 +734,10 @@ export class UIController {
   updateDashboard(results) {
     // Update route info
     document.getElementById('route-from').textContent = results.city.name;
-    document.getElementById('route-to').textContent = results.datacenter.name;
+    document.getElementById('route-to').textContent = results.routing
+      ? results.routing.map(site => `${DATACENTERS[site.id].shortName || site.name} ${Math.round(site.weight * 100)}%`).join(' + ')
+      : results.datacenter.name;
+    this.renderRoutingSplit(results.routing);
     document.getElementById('impact-workload').textContent = results.workload.name;
 
     // Debug log
@@ -519,13 +747,40 @@ export class UIController {
       emissions: results.emissions.grams
     });
 
-    // Update impact values with animation
-    this.animateValue('impact-electricity', results.electricity.withOverhead, 2);
-    this.animateValue('impact-water', results.water.liters, 1);
-    this.animateValue('impact-emissions', results.emissions.grams, 0);
+    // Update impact values with animation — central estimate plus its low–high range
+    this.animateValue('impact-electricity', results.electricity.withOverhead);
+    this.animateValue('impact-water', results.water.liters);
+    this.animateValue('impact-emissions', results.emissions.grams);
+
+    document.getElementById('impact-electricity-range').textContent = formatRange(results.electricity.range);
+    document.getElementById('impact-water-range').textContent = formatRange(results.water.range);
+    document.getElementById('impact-water-split').textContent =
+      `On-site ${formatSignificant(results.water.consumption.onsite)} L · power plants ${formatSignificant(results.water.consumption.offsite)} L`;
+    // Consumption is what evaporates; the rest of the withdrawal goes back warmer
+    document.getElementById('impact-water-accounting').textContent =
+      `Withdrawn ${formatSignificant(results.water.withdrawal.liters)} L · discharged ${formatSignificant(results.water.discharge.liters)} L`;
+    // A liter from a stressed basin counts for more than one from a wet one
+    document.getElementById('impact-water-scarcity').textContent =
+      `≈ ${formatSignificant(results.water.scarcity.liters)} L stressed-water equivalent (×${formatSignificant(results.water.scarcity.factor)})`;
+    document.getElementById('impact-emissions-range').textContent = formatRange(results.emissions.range);
+    // Token-model workloads: energy per query and how much of it is spent generating output
+    const inference = results.electricity.inference;
+    document.getElementById('impact-electricity-inference').textContent = inference
+      ? `${formatSignificant(inference.kwhPerQuery * 1000)} Wh/query at the GPU · ${Math.round(inference.decodeKwh / inference.kwhPerQuery * 100)}% decoding`
+      : '';
+    document.getElementById('impact-electricity-transport').textContent =
+      `+ ${formatSignificant(results.transport.kwh)} kWh network · ${Math.round(results.transport.hops)} hops`;
+    document.getElementById('impact-emissions-lifecycle').textContent =
+      `Lifecycle ${formatSignificant(results.lifecycle.grams)} g · ${formatSignificant(results.lifecycle.embodied.grams)} g embodied`;
+    this.renderMarketBasedEmissions(results.emissions);
+    this.renderEmissionsFactor(results.emissions);
+    this.renderWasteHeat(results.heat);
     
-    // Materials is qualitative
-    document.getElementById('impact-materials').textContent = '—';
+    // Land occupied for a year, in cm² — per-session figures are far below 1 m²
+    this.animateValue('impact-materials', results.landUse.m2a * 10000);
+    // The same footprint in km², once a year of the city's sessions adds up
+    document.getElementById('impact-materials-km2').textContent =
+      `${formatSignificant(results.landUse.annualKm2)} km² for a year of ${results.city.name}'s use`;
 
     // Update sources
     const elecCard = document.querySelector('.impact-card.electricity .impact-source');
@@ -540,18 +795,381 @@ export class UIController {
     }
     
     const materialsCard = document.querySelector('.impact-card.materials .impact-source');
-    materialsCard.textContent = 'Cobalt: DRC | Silicon: China';
+    const landShare = (m2a) => {
+      const percent = results.landUse.m2a > 0 ? (m2a / results.landUse.m2a) * 100 : 0;
+      return percent > 0 && percent < 1 ? '<1%' : `${Math.round(percent)}%`;
+    };
+    materialsCard.textContent = `Mined: ${formatSignificant(results.materials.totalMg)} mg | Mines ${landShare(results.landUse.mining.m2a)} of land`;
+    materialsCard.title = Object.values(results.materials.materials)
+      .map(m => `${m.name}: ${formatSignificant(m.mg)} mg`)
+      .join('\n');
 
     // Update narrative
     document.getElementById('narrative-text').textContent = results.narrative.trim();
 
+    this.renderAnnual(results.annual);
+
     // Highlight active stack layer based on workload intensity
     this.updateStackView(results);
+
+    // Only the "current" marker moves with the run; the sweep is refreshed separately
+    this.renderTradeoffs();
+  }
+
+  /**
+   * Per-site share of a load-balanced workload, with each site's
+   * contribution to the blended totals
+   */
+  renderRoutingSplit(routing) {
+    const container = document.getElementById('routing-split');
+    container.classList.toggle('hidden', !routing);
+    if (!routing) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const segments = routing.map((site, i) => `
+      <span class="routing-split-segment" style="width: ${site.weight * 100}%; opacity: ${1 - i * 0.25}" title="${site.name}"></span>
+    `).join('');
+    const rows = routing.map(site => `
+      <div class="routing-split-row">
+        <span>${Math.round(site.weight * 100)}% ${site.name}</span>
+        <span>${formatSignificant(site.kwh * site.weight)} kWh · ${formatSignificant(site.grams * site.weight)} gCO₂</span>
+      </div>
+    `).join('');
+    container.innerHTML = `<div class="routing-split-bar">${segments}</div>${rows}`;
+  }
+
+  bindSensitivityTabs() {
+    const tabs = document.querySelectorAll('.sensitivity-tab');
+
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        tabs.forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        this.sensitivityMetric = tab.dataset.metric;
+        this.renderSensitivity();
+      });
+    });
+  }
+
+  /**
+   * Refresh the sensitivity and tradeoff panels once the controls settle.
+   * Scrubbing the time slider re-runs the simulation on every input event,
+   * far more often than the Monte Carlo and the datacenter × hour sweep behind
+   * those panels can keep up with.
+   */
+  scheduleAnalyses() {
+    clearTimeout(this.analysisTimer);
+    this.analysisTimer = setTimeout(() => this.refreshAnalyses(), ANALYSIS_DELAY_MS);
+  }
+
+  /**
+   * Bring the sensitivity and tradeoff panels up to date with the last
+   * successful run
+   */
+  refreshAnalyses() {
+    clearTimeout(this.analysisTimer);
+    this.analysisTimer = null;
+    if (!this.simulationConfig) return;
+
+    // Consumption mode may have re-configured the engine since that run
+    simulationEngine.configure(this.simulationConfig);
+    this.updateSensitivity(JSON.stringify(this.simulationConfig));
+
+    // The sweep covers every datacenter and hour, so neither belongs in its key
+    const { datacenter, hour, ...sweep } = this.simulationConfig;
+    this.updateTradeoffs(JSON.stringify(sweep));
+  }
+
+  /**
+   * Re-sample the current configuration and redraw the sensitivity panel,
+   * unless the results on hand were already sampled for this key
+   */
+  updateSensitivity(key) {
+    if (key === this.sensitivityKey && this.sensitivityResults) return;
+
+    try {
+      this.sensitivityResults = simulationEngine.runSensitivity();
+      this.sensitivityKey = key;
+    } catch (error) {
+      console.error('Sensitivity analysis failed:', error);
+      this.sensitivityResults = null;
+      this.sensitivityKey = null;
+    }
+    this.renderSensitivity();
+  }
+
+  renderSensitivity() {
+    const band = document.getElementById('sensitivity-band');
+    const summary = document.getElementById('sensitivity-summary');
+    const tornado = document.getElementById('sensitivity-tornado');
+    const metric = this.sensitivityResults?.metrics[this.sensitivityMetric];
+
+    if (!metric) {
+      band.innerHTML = '';
+      summary.textContent = '';
+      tornado.innerHTML = '';
+      return;
+    }
+
+    const { p5, p25, p50, p75, p95 } = metric.percentiles;
+    const unit = metric.unit;
+
+    // Percentile band on a 0 → max scale: whisker p5–p95, box p25–p75, tick at the median
+    const scaleMax = Math.max(p95, metric.central) || 1;
+    const pos = (value) => (value / scaleMax) * 100;
+    band.innerHTML = `
+      <div class="band-whisker" style="left: ${pos(p5)}%; width: ${pos(p95) - pos(p5)}%"></div>
+      <div class="band-box" style="left: ${pos(p25)}%; width: ${pos(p75) - pos(p25)}%"></div>
+      <div class="band-median" style="left: ${pos(p50)}%"></div>
+    `;
+
+    summary.textContent = `Median ${formatSignificant(p50)} ${unit} — 90% of ${this.sensitivityResults.samples.toLocaleString()} runs fall between ${formatSignificant(p5)} and ${formatSignificant(p95)} ${unit}`;
+
+    if (metric.tornado.length === 0) {
+      tornado.innerHTML = '<p class="sensitivity-empty">No uncertain input moves this result here.</p>';
+      return;
+    }
+
+    // Tornado: each bar spans the result with one input at its low and high bound
+    const maxDeviation = Math.max(...metric.tornado.map(bar =>
+      Math.max(Math.abs(bar.low - metric.central), Math.abs(bar.high - metric.central))
+    )) || 1;
+
+    tornado.innerHTML = metric.tornado.map(bar => {
+      const lower = Math.min(bar.low, bar.high);
+      const upper = Math.max(bar.low, bar.high);
+      const lowWidth = ((metric.central - lower) / maxDeviation) * 50;
+      const highWidth = ((upper - metric.central) / maxDeviation) * 50;
+
+      return `
+        <div class="tornado-row">
+          <span class="tornado-label">${bar.label}</span>
+          <div class="tornado-track">
+            <div class="tornado-bar low" style="right: 50%; width: ${lowWidth}%"></div>
+            <div class="tornado-bar high" style="left: 50%; width: ${highWidth}%"></div>
+          </div>
+          <span class="tornado-value">${formatRange({ low: lower, high: upper })}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  bindAnnualInputs() {
+    // Adoption is a percentage of residents, so it cannot pass 100
+    const fields = {
+      'annual-adoption': { max: 100, toOverride: (value) => ({ adoptionRate: value / 100 }) },
+      'annual-sessions': { max: Infinity, toOverride: (value) => ({ sessionsPerUserPerDay: value }) }
+    };
+
+    for (const [id, { max, toOverride }] of Object.entries(fields)) {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const parsed = parseFloat(e.target.value);
+        if (!Number.isFinite(parsed) || parsed < 0) return;
+        const value = Math.min(parsed, max);
+        if (value !== parsed) e.target.value = value;
+        Object.assign(this.adoptionOverrides, toOverride(value));
+        if (this.simulationResults) this.runSimulation();
+      });
+    }
+  }
+
+  bindEmissionsFactorToggle() {
+    document.getElementById('emissions-factor-toggle').addEventListener('change', (e) => {
+      this.emissionsFactor = e.target.checked ? 'marginal' : 'average';
+      if (this.simulationResults) this.runSimulation();
+    });
+  }
+
+  bindHeatReuseToggle() {
+    document.getElementById('heat-reuse-toggle').addEventListener('change', (e) => {
+      this.heatReuse = e.target.checked;
+      if (this.simulationResults) this.runSimulation();
+    });
+  }
+
+  /**
+   * Heat rejected per session, where it was dumped, and — at sites with a
+   * district-heating scheme — how much of it warmed homes instead
+   */
+  renderWasteHeat(heat) {
+    this.animateValue('impact-heat', heat.kwh * 1000);
+
+    const sinkLabels = { atmosphere: 'air', seawater: 'sea', river: 'river' };
+    document.getElementById('impact-heat-sinks').textContent = Object.entries(heat.sinks)
+      .filter(([, kwh]) => kwh > 0)
+      .map(([sink, kwh]) => `${sinkLabels[sink]} ${formatSignificant(kwh * 1000)} Wh`)
+      .join(' · ');
+
+    const { reuse } = heat;
+    document.getElementById('heat-reuse-option').classList.toggle('hidden', !reuse.available);
+    document.getElementById('impact-heat-reuse').textContent = reuse.kwh > 0
+      ? `${Math.round(reuse.share * 100)}% reused · ${formatSignificant(reuse.homesHeatedPerYear)} homes heated a year vs ${formatSignificant(heat.homesDumpedPerYear)} dumped`
+      : `Dumped: enough for ${formatSignificant(heat.homesDumpedPerYear)} homes a year`;
+
+    document.querySelector('.impact-card.heat .impact-source').textContent = reuse.kwh > 0
+      ? `Reuse: ${reuse.scheme}`
+      : `Sink: ${heat.waterSink && heat.mainSink !== 'atmosphere' ? heat.waterSink.name.split('(')[0].trim() : 'the air'}`;
+  }
+
+  /**
+   * The other emissions factor's figure, and how far the average mix falls
+   * short of the plant that actually ramps up for the load
+   */
+  renderEmissionsFactor(emissions) {
+    const { byFactor, averageUnderstatement } = emissions;
+    const understated = Math.round(averageUnderstatement.share * 100);
+    document.getElementById('impact-emissions-factor').textContent = emissions.factor === 'marginal'
+      ? `Average mix ${formatSignificant(byFactor.average.grams)} g · understates by ${understated}%`
+      : `Marginal plant ${formatSignificant(byFactor.marginal.grams)} g · average understates by ${understated}%`;
+  }
+
+  /**
+   * Market-based figure the operator reports, and the greenwashing delta:
+   * the share of physical emissions its renewable claims make disappear
+   */
+  renderMarketBasedEmissions(emissions) {
+    const market = emissions.marketBased;
+    const delta = emissions.greenwashingDelta;
+    document.getElementById('impact-emissions-market').textContent = market.claim
+      ? `Market-based ${formatSignificant(market.grams)} g · claims "${market.claim}"`
+      : 'No renewable claims: market-based = location-based';
+    document.getElementById('impact-emissions-greenwashing').textContent = delta.grams > 0
+      ? `Greenwashing delta ${formatSignificant(delta.grams)} g · ${Math.round(delta.share * 100)}% hidden`
+      : '';
+  }
+
+  /**
+   * The session scaled to a year of the city's use, with the editable
+   * assumptions behind it
+   */
+  renderAnnual(annual) {
+    document.getElementById('annual-adoption').value = +(annual.adoptionRate * 100).toPrecision(3);
+    document.getElementById('annual-sessions').value = +annual.sessionsPerUserPerDay.toPrecision(3);
+    document.getElementById('annual-mwh').textContent = formatSignificant(annual.mwh);
+    document.getElementById('annual-water').textContent = formatSignificant(annual.megaliters);
+    document.getElementById('annual-co2').textContent = formatSignificant(annual.tonsCO2);
+    document.getElementById('annual-summary').textContent =
+      `${formatSignificant(annual.users)} of ${annual.population.toLocaleString()} residents × ${formatSignificant(annual.sessionsPerUserPerDay)} sessions a day = ${formatSignificant(annual.sessionsPerYear)} sessions a year`;
+  }
+
+  bindTradeoffTabs() {
+    const tabs = document.querySelectorAll('.tradeoff-tab');
+
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        tabs.forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        this.tradeoffAxes = { x: tab.dataset.x, y: tab.dataset.y };
+        this.renderTradeoffs();
+      });
+    });
+
+    // Clicking a point routes the workload there at that hour
+    document.getElementById('tradeoff-plot').addEventListener('click', (e) => {
+      const point = e.target.closest('.tradeoff-point');
+      if (!point) return;
+
+      if (this.splitRouting) {
+        document.getElementById('routing-toggle').checked = false;
+        document.getElementById('routing-toggle').dispatchEvent(new Event('change'));
+      }
+      this.selectDatacenter(point.dataset.dc);
+
+      const slider = document.getElementById('time-slider');
+      slider.value = point.dataset.hour;
+      slider.dispatchEvent(new Event('input'));
+    });
+  }
+
+  /**
+   * Evaluate every datacenter × hour for the current city and workload and
+   * redraw the frontier plot, unless the sweep on hand was made for this key
+   */
+  updateTradeoffs(key) {
+    if (key === this.tradeoffKey && this.tradeoffResults) return;
+
+    try {
+      this.tradeoffResults = simulationEngine.exploreTradeoffs();
+      this.tradeoffKey = key;
+    } catch (error) {
+      console.error('Tradeoff exploration failed:', error);
+      this.tradeoffResults = null;
+      this.tradeoffKey = null;
+    }
+    this.renderTradeoffs();
+  }
+
+  renderTradeoffs() {
+    const plot = document.getElementById('tradeoff-plot');
+    const legend = document.getElementById('tradeoff-legend');
+    const summary = document.getElementById('tradeoff-summary');
+    const results = this.tradeoffResults;
+
+    if (!results) {
+      plot.innerHTML = '';
+      legend.innerHTML = '';
+      summary.textContent = '';
+      return;
+    }
+
+    const { x, y } = this.tradeoffAxes;
+    const xAxis = results.axes.find(axis => axis.key === x);
+    const yAxis = results.axes.find(axis => axis.key === y);
+
+    // Linear scales from zero; lower-left is better on both axes
+    const width = 300;
+    const height = 180;
+    const pad = { left: 8, right: 8, top: 8, bottom: 20 };
+    const xMax = Math.max(...results.points.map(p => p[x])) || 1;
+    const yMax = Math.max(...results.points.map(p => p[y])) || 1;
+    const px = (value) => pad.left + (value / xMax) * (width - pad.left - pad.right);
+    const py = (value) => height - pad.bottom - (value / yMax) * (height - pad.top - pad.bottom);
+
+    const palette = ['var(--electricity)', 'var(--accent)', 'var(--emissions)', 'var(--materials)', 'var(--success)'];
+    const siteIds = [...new Set(results.points.map(p => p.datacenter))];
+    const color = (id) => palette[siteIds.indexOf(id) % palette.length];
+
+    const currentSite = this.simulationResults?.routing ? null : this.simulationResults?.datacenter.id;
+    const hourLabel = (hour) => `${hour.toString().padStart(2, '0')}:00`;
+
+    // Dominated points first so the frontier draws on top
+    const ordered = [...results.points].sort((a, b) => a.pareto - b.pareto);
+    const points = ordered.map(p => {
+      const classes = ['tradeoff-point'];
+      if (p.pareto) classes.push('frontier');
+      if (p.datacenter === currentSite && p.hour === this.currentHour) classes.push('current');
+      return `
+        <circle class="${classes.join(' ')}" cx="${px(p[x])}" cy="${py(p[y])}" r="${p.pareto ? 4 : 3}"
+          style="fill: ${color(p.datacenter)}" data-dc="${p.datacenter}" data-hour="${p.hour}">
+          <title>${p.name} at ${hourLabel(p.hour)}: ${formatSignificant(p.water)} L, ${formatSignificant(p.emissions)} gCO₂, ${formatSignificant(p.distance)} km</title>
+        </circle>
+      `;
+    }).join('');
+
+    plot.innerHTML = `
+      <line class="tradeoff-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+      <line class="tradeoff-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+      <text class="tradeoff-axis-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${xAxis.label} → ${formatSignificant(xMax)} ${xAxis.unit}</text>
+      <text class="tradeoff-axis-label" x="${pad.left + 4}" y="${pad.top + 8}">${yAxis.label} ↑ ${formatSignificant(yMax)} ${yAxis.unit}</text>
+      ${points}
+    `;
+
+    legend.innerHTML = siteIds.map(id => `
+      <span><span class="tradeoff-swatch" style="background: ${color(id)}"></span>${DATACENTERS[id].shortName || DATACENTERS[id].name}</span>
+    `).join('');
+
+    const frontier = results.frontier;
+    summary.textContent = frontier.length === 1
+      ? `${frontier[0].name} at ${hourLabel(frontier[0].hour)} beats every other option on water, CO₂ and distance.`
+      : `${frontier.length} of ${results.points.length} site × hour options are on the frontier: each beats the others on one axis only by losing on another. Faded points are beaten outright by some other option.`;
   }
 
-  animateValue(elementId, value, decimals = 0) {
+  animateValue(elementId, value, format = formatSignificant) {
     const element = document.getElementById(elementId);
-    const start = parseFloat(element.textContent) || 0;
+    const start = parseFloat(element.dataset.value) || 0;
+    element.dataset.value = value;
     const duration = 1000;
     const startTime = performance.now();
 
@@ -563,7 +1181,7 @@ export class UIController {
       const easeOut = 1 - Math.pow(1 - progress, 3);
       const current = start + (value - start) * easeOut;
       
-      element.textContent = current.toFixed(decimals);
+      element.textContent = format(current);
       
       if (progress < 1) {
         requestAnimationFrame(animate);
@@ -871,11 +1489,13 @@ export class UIController {
 
     // City
     document.getElementById('scale-grid-carbon').textContent = s.city.gridCarbonIntensity;
-    document.getElementById('scale-water-stress').textContent = s.city.waterStressLevel.toUpperCase();
+    document.getElementById('scale-water-stress').textContent = `${s.city.waterStressLevel.toUpperCase()} ×${formatSignificant(s.city.waterScarcityFactor)}`;
     document.getElementById('detail-fossil-pct').textContent = `${s.city.fossilPercent}%`;
     document.getElementById('detail-water-source').textContent = s.city.waterSource;
     document.getElementById('detail-aquifer').textContent = s.city.aquiferDepletion;
-    document.getElementById('detail-local-air').textContent = s.city.localAirImpact;
+    document.getElementById('detail-local-air').textContent = Object.entries(results.airPollution.labels)
+      .map(([key, label]) => `${label} ${formatSignificant(s.city.airPollutantsMg[key])} mg`)
+      .join(' · ');
 
     // Planetary
     document.getElementById('scale-displacement-km').textContent = s.planetary.displacementKm.toLocaleString();
@@ -884,6 +1504,21 @@ export class UIController {
     document.getElementById('detail-ewaste-to').textContent = s.planetary.ewasteDestination;
     document.getElementById('detail-emissions-drift').textContent = `${s.planetary.emissionsDriftKm.toLocaleString()} km ${s.planetary.co2DriftDirection}`;
     document.getElementById('detail-jurisdictions').textContent = s.planetary.jurisdictions;
+    document.getElementById('detail-transport').textContent =
+      `${formatSignificant(s.planetary.transportWh)} Wh · ${formatSignificant(s.planetary.transportGrams)} gCO₂`;
+    document.getElementById('detail-lifecycle-co2').textContent =
+      `${formatSignificant(s.planetary.lifecycleGrams)} g (${formatSignificant(s.planetary.embodiedGrams)} g embodied)`;
+
+    // Who bears the harm: micro-DALYs by region, largest first
+    const { health } = results;
+    document.getElementById('detail-health').textContent =
+      `${formatSignificant(health.microDalys)} µDALY · ${Math.round(health.asymmetry.elsewhereShare * 100)}% outside ${health.asymmetry.country}`;
+    document.getElementById('detail-health-regions').textContent = [...health.regions]
+      .filter(region => region.microDalys > 0)
+      .sort((a, b) => b.microDalys - a.microDalys)
+      .slice(0, 3)
+      .map(region => `${region.name} ${Math.round(region.microDalys / health.microDalys * 100)}%`)
+      .join(' · ');
 
     // Show the panel
     this.showScaleExplorer();
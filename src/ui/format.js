@@ -0,0 +1,25 @@
+/**
+ * GHOST NETWORK - Number Formatting
+ * Shared by the dashboard and the exhibition screen so impact figures read
+ * the same everywhere
+ */
+
+/**
+ * Round to a few significant figures — the inputs are estimates, so more
+ * digits would only suggest precision the model does not have
+ */
+export function formatSignificant(value, digits = 2) {
+  if (!Number.isFinite(value)) return '—';
+  if (value === 0) return '0';
+  return value.toLocaleString('en-US', { maximumSignificantDigits: digits });
+}
+
+/**
+ * Format a { low, central, high } range as "low – high"
+ */
+export function formatRange(range, digits = 2) {
+  if (!range) return '';
+  const low = formatSignificant(range.low, digits);
+  const high = formatSignificant(range.high, digits);
+  return low === high ? low : `${low} – ${high}`;
+}
@@ -5,6 +5,7 @@
 
 import mapboxgl from 'mapbox-gl';
 import { gsap } from 'gsap';
+import { CITIES, DATACENTERS, AIR_POLLUTANTS } from '../data/models.js';
 
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || '';
 
@@ -12,7 +13,13 @@ const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || '';
 const COLORS = {
   electricity: '#f0b429',
   water: '#58a6ff',
+  water_withdrawal: '#58a6ff',
+  water_consumption: '#1f6feb',
+  water_discharge: '#ff9e64', // Returned warmer
   emissions: '#f85149',
+  heat: '#ff7b39',
+  heat_dumped: '#ff7b39',
+  heat_reused: '#3fb950', // Piped to district heating
   materials: '#a371f7',
   data: '#58a6ff',
   city: '#00ff88',
@@ -28,12 +35,14 @@ export class GlobeVisualization {
     this.animationFrameId = null;
     this.particleSources = [];
     this.particleLayers = [];
+    this.plumeLayerId = null;
 
     // Layer visibility
     this.layerVisibility = {
       electricity: true,
       water: true,
       emissions: true,
+      heat: true,
       materials: true
     };
 
@@ -177,7 +186,7 @@ export class GlobeVisualization {
 
   /** Set all layers visible/hidden */
   setAllLayersVisibility(visible) {
-    ['electricity', 'water', 'emissions', 'materials'].forEach(l => {
+    ['electricity', 'water', 'emissions', 'heat', 'materials'].forEach(l => {
       this.layerVisibility[l] = visible;
     });
     this._syncLayerVisibility();
@@ -454,7 +463,7 @@ export class GlobeVisualization {
     const dcCoords = Object.values(this._getDatacenterData()).map(dc => `${dc.center.lat},${dc.center.lng}`);
     const knownLocations = new Set([...cityCoords, ...dcCoords]);
 
-    const endpoints = new Map(); // key -> { coords, type, label }
+    const endpoints = new Map(); // key -> { coords, type, label, airPollutants }
 
     flows.forEach(flow => {
       if (!flow.from || !flow.to) return;
@@ -465,7 +474,8 @@ export class GlobeVisualization {
         endpoints.set(fromKey, {
           coords: flow.from,
           type: flow.type,
-          label: flow.label || flow.type
+          label: flow.label || flow.type,
+          airPollutants: flow.airPollutants
         });
       }
 
@@ -481,12 +491,20 @@ export class GlobeVisualization {
     });
 
     // Create small markers for each endpoint
-    endpoints.forEach(({ coords, type, label }) => {
+    endpoints.forEach(({ coords, type, label, airPollutants }) => {
       const el = document.createElement('div');
       el.className = `flow-endpoint-marker flow-endpoint-${type}`;
       el.innerHTML = `<div class="flow-endpoint-dot"></div>`;
       el.title = label;
 
+      // Combustion plants get a smog halo and their share of this session's pollutants
+      if (airPollutants) {
+        el.classList.add('flow-endpoint-polluting');
+        el.title += '\n' + Object.entries(AIR_POLLUTANTS.labels)
+          .map(([key, name]) => `${name} ${Number((airPollutants[key] * 1000).toPrecision(2))} mg`)
+          .join(' · ');
+      }
+
       const marker = new mapboxgl.Marker({ element: el, anchor: 'center' })
         .setLngLat([coords.lng, coords.lat])
         .addTo(this.map);
@@ -508,6 +526,7 @@ export class GlobeVisualization {
     });
     this.particleLayers = [];
     this.particleSources = [];
+    this.plumeLayerId = null;
 
     // Remove flow layers and sources
     this.flowLayerIds.forEach(id => {
@@ -542,21 +561,19 @@ export class GlobeVisualization {
   // --- Data ---
 
   _getCityData() {
-    return {
-      barcelona: { center: { lat: 41.3851, lng: 2.1734 }, name: 'Barcelona' },
-      lagos:     { center: { lat: 6.5244,  lng: 3.3792 }, name: 'Lagos' },
-      phoenix:   { center: { lat: 33.4484, lng: -112.074 }, name: 'Phoenix' },
-      dublin:    { center: { lat: 53.3498, lng: -6.2603 }, name: 'Dublin' }
-    };
+    const cities = {};
+    Object.entries(CITIES).forEach(([id, c]) => {
+      cities[id] = { center: c.coords, name: c.name };
+    });
+    return cities;
   }
 
   _getDatacenterData() {
-    return {
-      arizona:   { center: { lat: 33.3942, lng: -111.9261 }, name: 'Arizona Hyperscale', color: '#ff4444' },
-      finland:   { center: { lat: 60.5693, lng: 27.1878 },   name: 'Nordic Green DC',   color: '#44ff88' },
-      singapore: { center: { lat: 1.3521,  lng: 103.8198 },  name: 'Equinix SG Hub',    color: '#ff8844' },
-      ireland:   { center: { lat: 53.4055, lng: -6.3725 },   name: 'Dublin Cloud Campus', color: '#4488ff' }
-    };
+    const dcs = {};
+    Object.entries(DATACENTERS).forEach(([id, dc]) => {
+      dcs[id] = { center: dc.coords, name: dc.name, color: dc.color || COLORS.datacenter };
+    });
+    return dcs;
   }
 
   // --- Zoom mapping ---
@@ -686,8 +703,44 @@ export class GlobeVisualization {
     return coords;
   }
 
+  /**
+   * Line a flow is drawn along: its own path when it has one (a drift
+   * trajectory, densified so particles move smoothly), else a great-circle arc.
+   * Path segments take the short way round, even across the antimeridian.
+   */
+  _flowPath(flow, stepsPerSegment = 6) {
+    if (!flow.path) return this._greatCircleArc(flow.from, flow.to);
+
+    const coords = [];
+    for (let i = 0; i < flow.path.length - 1; i++) {
+      const a = flow.path[i];
+      const b = flow.path[i + 1];
+      // 179° → -179° is 2° east, not 358° west
+      const dLng = ((b.lng - a.lng + 540) % 360) - 180;
+      for (let j = 0; j < stepsPerSegment; j++) {
+        const t = j / stepsPerSegment;
+        const lng = ((a.lng + dLng * t + 540) % 360) - 180;
+        coords.push([lng, a.lat + (b.lat - a.lat) * t, 0]);
+      }
+    }
+    const last = flow.path[flow.path.length - 1];
+    coords.push([last.lng, last.lat, 0]);
+    return coords;
+  }
+
   // --- Flow arcs ---
 
+  /** Layer key for a flow: its type, split by water or heat use ("water_discharge", "heat_reused") */
+  _flowLayerKey(flow) {
+    const use = flow.waterUse || flow.heatUse;
+    return use ? `${flow.type}_${use}` : flow.type;
+  }
+
+  /** Toggleable layer a flow layer key belongs to ("water_discharge" → "water") */
+  _baseLayerType(key) {
+    return key.split('_')[0];
+  }
+
   _renderFlows(flows) {
     const byType = {};
 
@@ -699,10 +752,11 @@ export class GlobeVisualization {
         console.error('Skipping flow with invalid coords:', flow);
         return;
       }
+      if (flow.halo) return; // Drawn by _renderHeatHalos
 
-      const type = flow.type === 'data' ? 'data' : flow.type;
+      const type = this._flowLayerKey(flow);
       if (!byType[type]) byType[type] = [];
-      const arc = this._greatCircleArc(flow.from, flow.to);
+      const arc = this._flowPath(flow);
       byType[type].push({
         type: 'Feature',
         properties: { type, intensity: flow.intensity || 0.5, label: flow.label || '' },
@@ -710,12 +764,16 @@ export class GlobeVisualization {
       });
     });
 
+    // Plumes and heat halos go first so the flow lines draw over them
+    this._renderPlumes(flows);
+    this._renderHeatHalos(flows);
+
     Object.entries(byType).forEach(([type, features]) => {
       const srcId = `flow-src-${type}`;
       const lineId = `flow-line-${type}`;
       const glowId = `flow-glow-${type}`;
       const color = COLORS[type] || COLORS.data;
-      const vis = (type === 'data' || this.layerVisibility[type]) ? 'visible' : 'none';
+      const vis = (type === 'data' || this.layerVisibility[this._baseLayerType(type)]) ? 'visible' : 'none';
 
       // Source
       if (this.map.getSource(srcId)) {
@@ -750,6 +808,104 @@ export class GlobeVisualization {
     });
   }
 
+  // --- Emissions plumes ---
+
+  /**
+   * Fill the plume slices of every flow that carries one. Each slice keeps its
+   * step and fading opacity, thinned by the flow's routing weight, for the
+   * drift animation.
+   */
+  _renderPlumes(flows) {
+    const features = flows.filter(flow => flow.plume).flatMap(flow =>
+      flow.plume.map(slice => ({
+        type: 'Feature',
+        properties: { step: slice.step, baseOpacity: slice.opacity * (flow.weight ?? 1) },
+        geometry: { type: 'Polygon', coordinates: slice.coordinates }
+      }))
+    );
+    if (features.length === 0) return;
+
+    const srcId = 'plume-src-emissions';
+    const fillId = 'plume-fill-emissions';
+    const vis = this.layerVisibility.emissions ? 'visible' : 'none';
+
+    if (this.map.getSource(srcId)) {
+      this.map.getSource(srcId).setData({ type: 'FeatureCollection', features });
+    } else {
+      this.map.addSource(srcId, { type: 'geojson', data: { type: 'FeatureCollection', features } });
+      this.flowSourceIds.push(srcId);
+    }
+
+    if (!this.map.getLayer(fillId)) {
+      this.map.addLayer({
+        id: fillId, type: 'fill', source: srcId,
+        layout: { visibility: vis },
+        paint: { 'fill-color': COLORS.emissions, 'fill-opacity': this._plumeOpacity(0), 'fill-antialias': false }
+      });
+      this.flowLayerIds.push(fillId);
+    }
+
+    this.plumeLayerId = fillId;
+  }
+
+  /**
+   * Slice opacity at a phase of the drift wave: each slice's base opacity,
+   * pulsed by a sine that lags one step behind the next
+   */
+  _plumeOpacity(phase) {
+    const wave = ['sin', ['-', phase, ['*', ['get', 'step'], 0.8]]];
+    return ['*', ['get', 'baseOpacity'], ['+', 0.75, ['*', 0.25, wave]]];
+  }
+
+  /**
+   * Pulse a wave of density down the plume so the cloud reads as drifting.
+   * Only the paint expression changes per frame; the geometry is left alone.
+   */
+  _animatePlume(time) {
+    if (!this.plumeLayerId || !this.map.getLayer(this.plumeLayerId)) return;
+    this.map.setPaintProperty(this.plumeLayerId, 'fill-opacity', this._plumeOpacity(time / 600));
+  }
+
+  // --- Heat halos ---
+
+  /**
+   * Heat dumped into the air has nowhere to flow to: draw it as a blurred
+   * halo around the site, sized by the share of its heat that goes that way
+   */
+  _renderHeatHalos(flows) {
+    const features = flows.filter(flow => flow.halo).map(flow => ({
+      type: 'Feature',
+      properties: { intensity: flow.intensity || 0.5, label: flow.label || '' },
+      geometry: { type: 'Point', coordinates: [flow.from.lng, flow.from.lat] }
+    }));
+    if (features.length === 0) return;
+
+    const srcId = 'halo-src-heat';
+    const layerId = 'halo-layer-heat';
+    const vis = this.layerVisibility.heat ? 'visible' : 'none';
+
+    if (this.map.getSource(srcId)) {
+      this.map.getSource(srcId).setData({ type: 'FeatureCollection', features });
+    } else {
+      this.map.addSource(srcId, { type: 'geojson', data: { type: 'FeatureCollection', features } });
+      this.flowSourceIds.push(srcId);
+    }
+
+    if (!this.map.getLayer(layerId)) {
+      this.map.addLayer({
+        id: layerId, type: 'circle', source: srcId,
+        layout: { visibility: vis },
+        paint: {
+          'circle-radius': ['interpolate', ['linear'], ['get', 'intensity'], 0, 8, 1, 32],
+          'circle-color': COLORS.heat_dumped,
+          'circle-opacity': 0.35,
+          'circle-blur': 1
+        }
+      });
+      this.flowLayerIds.push(layerId);
+    }
+  }
+
   // --- Particles ---
 
   _startParticles(flows) {
@@ -760,11 +916,11 @@ export class GlobeVisualization {
       // Validate coordinates
       const fromValid = flow.from && typeof flow.from.lat === 'number' && typeof flow.from.lng === 'number';
       const toValid = flow.to && typeof flow.to.lat === 'number' && typeof flow.to.lng === 'number';
-      if (!fromValid || !toValid) return;
+      if (!fromValid || !toValid || flow.halo) return;
 
-      const type = flow.type === 'data' ? 'data' : flow.type;
+      const type = this._flowLayerKey(flow);
       if (!byType[type]) byType[type] = [];
-      const arc = this._greatCircleArc(flow.from, flow.to);
+      const arc = this._flowPath(flow);
       const count = Math.max(3, Math.min(8, Math.round((flow.intensity || 0.5) * 8)));
       for (let i = 0; i < count; i++) {
         byType[type].push({ arc, offset: i / count, speed: 0.003 + Math.random() * 0.003 });
@@ -775,7 +931,7 @@ export class GlobeVisualization {
       const srcId = `ptcl-src-${type}`;
       const layerId = `ptcl-layer-${type}`;
       const color = COLORS[type] || COLORS.data;
-      const vis = (type === 'data' || this.layerVisibility[type]) ? 'visible' : 'none';
+      const vis = (type === 'data' || this.layerVisibility[this._baseLayerType(type)]) ? 'visible' : 'none';
 
       const features = particles.map(p => {
         const idx = Math.floor(p.offset * (p.arc.length - 1));
@@ -801,7 +957,8 @@ export class GlobeVisualization {
     });
 
     // Animation loop
-    const tick = () => {
+    const tick = (time) => {
+      this._animatePlume(time);
       this.particleSources.forEach(({ srcId, particles }) => {
         const features = particles.map(p => {
           p.offset = (p.offset + p.speed) % 1;
@@ -824,9 +981,9 @@ export class GlobeVisualization {
 
   _syncLayerVisibility() {
     [...this.flowLayerIds, ...this.particleLayers].forEach(id => {
-      // Extract type from layer id (e.g. "flow-line-electricity" → "electricity")
+      // Extract type from layer id (e.g. "flow-line-water_discharge" → "water")
       const parts = id.split('-');
-      const type = parts[parts.length - 1];
+      const type = this._baseLayerType(parts[parts.length - 1]);
       if (type === 'data') return;
       const vis = this.layerVisibility[type] ? 'visible' : 'none';
       if (this.map.getLayer(id)) this.map.setLayoutProperty(id, 'visibility', vis);